@@ -0,0 +1,121 @@
+// Player actions
+// Every decision a player makes is a plain, JSON-serializable object with a
+// type and the ids/coordinates it refers to, so it can be validated, logged,
+// replayed, transmitted or undone. engine.js validates and applies them.
+
+export const ActionType = {
+    MOVE: 'Move', // Activate a unit and move it (first move for Mounted)
+    MOUNTED_SECOND_MOVE: 'MountedSecondMove', // Mounted unit's second 1-hex move (Charge)
+    SKIP_SECOND_MOVE: 'SkipSecondMove', // Mounted unit ends its activation after one move
+    FORWARD_ORDER: 'ForwardOrder', // Commander orders an allied unit to move
+    TAUNT: 'Taunt', // Jesters pull an adjacent enemy into their hex instead of moving
+    CHARGE_TARGET: 'ChargeTarget', // Mounted picks which of two enemies takes the charge damage
+    COUNTER_CHARGE: 'CounterCharge', // The defender picks which of several Spears Counter Charges a Mounted charge
+    ENGAGE: 'Engage', // A unit facing two enemies picks the one it is Engaged with
+    FREE_UNIT_CHOICE: 'FreeUnitChoice', // The other enemy joins the combat or uses its ability
+    ABILITY_TARGET: 'AbilityTarget', // Target for Pierce, Volley or Mortar
+    COMBAT_ALLOCATION: 'CombatAllocation', // Split of combat damage between two enemies
+    ORDER_EFFECTS: 'OrderEffects', // Second Faction's order for effects that cannot resolve simultaneously
+    END_PHASE: 'EndPhase', // End the current faction phase
+    RESOLVE: 'Resolve' // Resolve the current resolution sub-phase
+};
+
+// Fields each action type carries and their JSON types
+export const ActionSchema = {
+    [ActionType.MOVE]: { unitId: 'string', row: 'number', col: 'number' },
+    [ActionType.MOUNTED_SECOND_MOVE]: { unitId: 'string', row: 'number', col: 'number' },
+    [ActionType.SKIP_SECOND_MOVE]: {},
+    [ActionType.FORWARD_ORDER]: { unitId: 'string', targetId: 'string', row: 'number', col: 'number' },
+    [ActionType.TAUNT]: { unitId: 'string', targetId: 'string' },
+    [ActionType.CHARGE_TARGET]: { targetId: 'string' },
+    [ActionType.COUNTER_CHARGE]: { unitId: 'string' },
+    [ActionType.ENGAGE]: { unitId: 'string', targetId: 'string' },
+    [ActionType.FREE_UNIT_CHOICE]: { unitId: 'string', choice: 'string' },
+    [ActionType.ABILITY_TARGET]: { unitId: 'string', selection: 'object' },
+    [ActionType.COMBAT_ALLOCATION]: { hex: 'object', attackingFaction: 'number', damage: 'object' },
+    [ActionType.ORDER_EFFECTS]: { unitIds: 'object' },
+    [ActionType.END_PHASE]: {},
+    [ActionType.RESOLVE]: {}
+};
+
+export function createMoveAction(unitId, row, col) {
+    return { type: ActionType.MOVE, unitId, row, col };
+}
+
+export function createMountedSecondMoveAction(unitId, row, col) {
+    return { type: ActionType.MOUNTED_SECOND_MOVE, unitId, row, col };
+}
+
+export function createSkipSecondMoveAction() {
+    return { type: ActionType.SKIP_SECOND_MOVE };
+}
+
+export function createForwardOrderAction(unitId, targetId, row, col) {
+    return { type: ActionType.FORWARD_ORDER, unitId, targetId, row, col };
+}
+
+export function createTauntAction(unitId, targetId) {
+    return { type: ActionType.TAUNT, unitId, targetId };
+}
+
+export function createChargeTargetAction(targetId) {
+    return { type: ActionType.CHARGE_TARGET, targetId };
+}
+
+export function createCounterChargeAction(unitId) {
+    return { type: ActionType.COUNTER_CHARGE, unitId };
+}
+
+export function createEngageAction(unitId, targetId) {
+    return { type: ActionType.ENGAGE, unitId, targetId };
+}
+
+// choice: 'combat' or 'ability'
+export function createFreeUnitChoiceAction(unitId, choice) {
+    return { type: ActionType.FREE_UNIT_CHOICE, unitId, choice };
+}
+
+// selection: { unitId } for unit targets, { hex: { row, col } } for Mortar
+export function createAbilityTargetAction(unitId, selection) {
+    return { type: ActionType.ABILITY_TARGET, unitId, selection };
+}
+
+// damage: { [enemyUnitId]: amount }
+export function createCombatAllocationAction(hex, attackingFaction, damage) {
+    return { type: ActionType.COMBAT_ALLOCATION, hex, attackingFaction, damage };
+}
+
+// unitIds: the conflicting units, first to resolve first
+export function createOrderEffectsAction(unitIds) {
+    return { type: ActionType.ORDER_EFFECTS, unitIds };
+}
+
+export function createEndPhaseAction() {
+    return { type: ActionType.END_PHASE };
+}
+
+export function createResolveAction() {
+    return { type: ActionType.RESOLVE };
+}
+
+// Check an action has a known type and the fields its schema requires
+// Returns an error message, or null if the shape is valid
+export function validateActionShape(action) {
+    if (!action || typeof action !== 'object') {
+        return 'Action must be an object';
+    }
+    
+    const schema = ActionSchema[action.type];
+    if (!schema) {
+        return `Unknown action type: ${action.type}`;
+    }
+    
+    for (const [field, fieldType] of Object.entries(schema)) {
+        const value = action[field];
+        if (typeof value !== fieldType || value === null) {
+            return `${action.type} requires ${field} (${fieldType})`;
+        }
+    }
+    
+    return null;
+}
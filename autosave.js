@@ -0,0 +1,133 @@
+// Autosave
+// Keeps a crash-safe snapshot of the game in localStorage, one slot per setup
+// mode, so reloading the page can pick an unfinished game back up. Slots are
+// rewritten after every committed action and dropped once the game is over or
+// the slot has not been touched for AUTOSAVE_MAX_AGE_MS. A match in progress
+// (see match.js) is kept in a slot of its own next to its current game.
+import { GamePhase } from './state.js';
+import { serializeGame, deserializeGame } from './serialization.js';
+
+const AUTOSAVE_KEY_PREFIX = 'smalltricks-autosave-';
+const MATCH_AUTOSAVE_KEY = 'smalltricks-match';
+const AUTOSAVE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // One week
+
+export const AUTOSAVE_MODES = ['demo', 'random', 'draft', 'rolled'];
+
+// Setup mode a game was started from (demo games have no setup phase)
+export function getGameMode(state) {
+    return state.setupMode || 'demo';
+}
+
+function getAutosaveKey(mode) {
+    return `${AUTOSAVE_KEY_PREFIX}${mode}`;
+}
+
+// localStorage may be missing or blocked (private browsing, file://)
+function getStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Write the game to its mode's slot, or clear the slot if the game is finished
+// Never throws: a full or unavailable storage only costs the autosave
+export function autosaveGame(state) {
+    const storage = getStorage();
+    if (!storage) return false;
+    // A hidden placement must not be readable from storage by the other player
+    if (isHiddenPlacement(state)) return false;
+    
+    const key = getAutosaveKey(getGameMode(state));
+    try {
+        if (state.phase === GamePhase.GAME_OVER) {
+            storage.removeItem(key);
+        } else {
+            storage.setItem(key, JSON.stringify(serializeGame(state)));
+        }
+        return true;
+    } catch (error) {
+        console.error('Autosave failed:', error);
+        return false;
+    }
+}
+
+// Hidden setup placements are kept out of saves until both have been revealed
+export function isHiddenPlacement(state) {
+    return Boolean(state.placementPhase) && state.rules.hiddenSetup;
+}
+
+// Unfinished games that can be resumed, newest first: [{ mode, round, savedAt }]
+// Prunes slots that are too old or can no longer be loaded
+export function listAutosaves(now = Date.now()) {
+    const storage = getStorage();
+    if (!storage) return [];
+    
+    const autosaves = [];
+    for (const mode of AUTOSAVE_MODES) {
+        const key = getAutosaveKey(mode);
+        const json = storage.getItem(key);
+        if (!json) continue;
+        
+        try {
+            const save = JSON.parse(json);
+            const state = deserializeGame(save);
+            const savedAt = Date.parse(save.savedAt);
+            if (state.phase === GamePhase.GAME_OVER || !(now - savedAt < AUTOSAVE_MAX_AGE_MS)) {
+                storage.removeItem(key);
+                continue;
+            }
+            autosaves.push({ mode, round: state.round, savedAt: save.savedAt });
+        } catch (error) {
+            console.error(`Discarding unreadable ${mode} autosave:`, error);
+            storage.removeItem(key);
+        }
+    }
+    
+    return autosaves.sort((a, b) => Date.parse(b.savedAt) - Date.parse(a.savedAt));
+}
+
+// Restore the game stored in a mode's slot
+export function loadAutosave(mode) {
+    const storage = getStorage();
+    const json = storage && storage.getItem(getAutosaveKey(mode));
+    if (!json) {
+        throw new Error(`No ${mode} game to resume`);
+    }
+    return deserializeGame(JSON.parse(json));
+}
+
+// Keep the match in progress, or clear the slot when there is none
+export function autosaveMatch(match) {
+    const storage = getStorage();
+    if (!storage) return false;
+    
+    try {
+        if (match) {
+            storage.setItem(MATCH_AUTOSAVE_KEY, JSON.stringify({ savedAt: new Date().toISOString(), match }));
+        } else {
+            storage.removeItem(MATCH_AUTOSAVE_KEY);
+        }
+        return true;
+    } catch (error) {
+        console.error('Match autosave failed:', error);
+        return false;
+    }
+}
+
+// The match in progress, or null if there is none (or it is too old to resume)
+export function loadAutosavedMatch(now = Date.now()) {
+    const storage = getStorage();
+    const json = storage && storage.getItem(MATCH_AUTOSAVE_KEY);
+    if (!json) return null;
+    
+    try {
+        const { savedAt, match } = JSON.parse(json);
+        return now - Date.parse(savedAt) < AUTOSAVE_MAX_AGE_MS ? match : null;
+    } catch (error) {
+        console.error('Discarding unreadable match autosave:', error);
+        storage.removeItem(MATCH_AUTOSAVE_KEY);
+        return null;
+    }
+}
@@ -0,0 +1,109 @@
+// Hidden setup commitments
+// With the hiddenSetup rule each player's placement is sealed when they
+// confirm it: only a SHA-256 hash of the layout and a random salt is shown,
+// and the layout is revealed once both players have confirmed. Checking each
+// reveal against its commitment proves nobody rearranged after seeing the
+// other side. Hot-seat games keep the sealed layout on the device behind a
+// pass-the-device screen; a networked game sends the commitment first and
+// the reveal only after receiving the opponent's commitment.
+//
+// The reveal never goes into the game state: saves and autosaves only ever
+// hold the commitment hashes, so the opponent cannot read a sealed layout.
+import { getUnitTypeKey } from './serialization.js';
+
+// A placement as committed: units in creation order as { type, row, col }
+export function getPlacementArmy(units) {
+    return units.map(unit => ({ type: getUnitTypeKey(unit.type), row: unit.row, col: unit.col }));
+}
+
+// Seal a player's placement
+// Returns { commitment: { faction, hash }, reveal: { faction, army, salt } }:
+// the commitment can be shown to the opponent right away, the reveal is kept
+// until both players have committed
+export async function commitPlacement(faction, army) {
+    const saltBytes = new Uint8Array(16);
+    crypto.getRandomValues(saltBytes);
+    const salt = toHex(saltBytes);
+    
+    return {
+        commitment: { faction, hash: await hashPlacement(faction, army, salt) },
+        reveal: { faction, army, salt }
+    };
+}
+
+// Throws unless a reveal is the placement that was committed
+export async function verifyPlacement(commitment, reveal) {
+    if (reveal.faction !== commitment.faction) {
+        throw new Error(`Player ${reveal.faction}'s reveal does not belong to Player ${commitment.faction}'s commitment`);
+    }
+    if (await hashPlacement(reveal.faction, reveal.army, reveal.salt) !== commitment.hash) {
+        throw new Error(`Player ${reveal.faction}'s placement does not match their commitment`);
+    }
+}
+
+// Short form of a commitment for the log
+export function formatCommitment({ hash }) {
+    return hash.slice(0, 12);
+}
+
+async function hashPlacement(faction, army, salt) {
+    const text = JSON.stringify({ faction, army: army.map(({ type, row, col }) => [type, row, col]), salt });
+    const bytes = new TextEncoder().encode(text);
+    // crypto.subtle only exists in secure contexts (https, localhost), not on plain http
+    if (!globalThis.crypto || !crypto.subtle) return toHex(sha256(bytes));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return toHex(new Uint8Array(digest));
+}
+
+// SHA-256 (FIPS 180-4) for pages without crypto.subtle
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function sha256(bytes) {
+    // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length as a 64-bit big-endian number
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const data = new Uint8Array(length);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, bytes.length * 8);
+    
+    const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+        
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            [a, b, c, d, e, f, g, h] = [(t1 + t2) >>> 0, a, b, c, (d + t1) >>> 0, e, f, g];
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] += value; });
+    }
+    
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+    return digest;
+}
+
+function toHex(bytes) {
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,1264 @@
+// Headless game engine
+// Movement rules, activation flow and the resolution sequence, free of DOM,
+// timers and modals so a full game can be played under Node. The canvas UI
+// in game.js is one client; bots, tests and servers can drive games through
+// newGame / legalActions / applyAction.
+import {
+    createGameState,
+    createUnit,
+    UnitTypes,
+    GamePhase,
+    getAdjacentHexes,
+    getFactionUnitsAt,
+    getStackingError,
+    canEndInHex,
+    canPassThroughHex,
+    isEngaged,
+    forgetLostVolleyTargets,
+    isAlive,
+    hexDistance,
+    logMessage,
+    logEvent,
+    getUnitDisplayName,
+    getEngagedGroups,
+    getOneAndTwoHexes,
+    getCurrentEngagements,
+    pruneEngagements,
+    isInEnemyCastle,
+    getCombatDamage,
+    resolveCombat,
+    resolveMeleeAbilities,
+    resolveRangedAbilities,
+    calculateCastleDamage,
+    getCrashThroughUnits,
+    checkWinCondition,
+    getUnitPower,
+    getArchersVolleyTargets,
+    getCannonMortarTargets,
+    getSpearsPierceTargets,
+    getMusketsFireTargets,
+    getJestersTauntTargets,
+    getCounterChargeSpears,
+    applyJestersTaunt,
+    applyMountedChargeBonus,
+    applyDamage,
+    removeDeadUnits,
+    applySpearCounterCharge
+} from './state.js';
+import {
+    ActionType,
+    validateActionShape,
+    createMoveAction,
+    createMountedSecondMoveAction,
+    createSkipSecondMoveAction,
+    createForwardOrderAction,
+    createTauntAction,
+    createChargeTargetAction,
+    createCounterChargeAction,
+    createEngageAction,
+    createFreeUnitChoiceAction,
+    createAbilityTargetAction,
+    createCombatAllocationAction,
+    createOrderEffectsAction,
+    createEndPhaseAction,
+    createResolveAction
+} from './actions.js';
+import { EventType, recordEvent } from './events.js';
+import { serializeGame, deserializeGame, getUnitTypeKey } from './serialization.js';
+
+// Recommended first game setup
+const DEMO_ARMIES = {
+    1: [
+        { type: 'MOUNTED', row: 3, col: 0 },
+        { type: 'SPEARS', row: 3, col: 2 },
+        { type: 'ARCHERS', row: 4, col: 2 },
+        { type: 'ARCHERS', row: 4, col: 3 },
+        { type: 'SPEARS', row: 3, col: 3 },
+        { type: 'MOUNTED', row: 3, col: 5 }
+    ],
+    2: [
+        { type: 'CANNON', row: 1, col: 1 },
+        { type: 'ASSAULT_BEASTS', row: 2, col: 1 },
+        { type: 'SPEARS', row: 1, col: 2 },
+        { type: 'MOUNTED', row: 2, col: 5 },
+        { type: 'ASSAULT_BEASTS', row: 2, col: 3 },
+        { type: 'CANNON', row: 1, col: 4 }
+    ]
+};
+
+// Create a game ready for the First Faction's phase
+// config.armies: { 1: [{ type: 'ARCHERS', row, col }, ...], 2: [...] } (defaults to the demo setup)
+// config.seed: PRNG seed, so the same seed reproduces the same unit ids
+// config.rules: rule variants (see DEFAULT_RULES)
+// config.firstFaction: player who is the First Faction (defaults to Player 1)
+// config.roster: unit type key for each dice face (see ROSTER_OPTIONS)
+export function newGame(config = {}) {
+    const state = createGameState(config.seed, config.rules);
+    state.firstFaction = config.firstFaction || 1;
+    if (config.roster) {
+        state.roster = { ...config.roster };
+    }
+    const armies = config.armies || DEMO_ARMIES;
+    
+    for (const faction of [1, 2]) {
+        for (const { type, row, col } of armies[faction]) {
+            state.units.push(createUnit(state, UnitTypes[type], faction, row, col));
+        }
+    }
+    
+    startGame(state);
+    return state;
+}
+
+// Begin round 1 once both factions are on the board
+export function startGame(state) {
+    // Starting armies in creation order, so the game can be rebuilt (see notation.js)
+    state.initialArmies = { 1: [], 2: [] };
+    for (const unit of state.units) {
+        state.initialArmies[unit.faction].push({ type: getUnitTypeKey(unit.type), row: unit.row, col: unit.col });
+    }
+    
+    state.phase = GamePhase.FACTION_1;
+    logMessage(state, `Player ${getFirstFaction(state)} faction phase`);
+    takeUndoCheckpoint(state);
+}
+
+// Faction whose turn it is to act, or null when no player is acting
+export function getCurrentFaction(state) {
+    // The charged player picks which Spears Counter Charge
+    if (state.pendingCounterCharge) {
+        return getUnitById(state, state.pendingCounterCharge.spearsIds[0]).faction;
+    }
+    const engagement = getPendingEngagement(state);
+    if (engagement) return engagement.faction;
+    if (isFactionPhase(state.phase)) return getPhaseFaction(state);
+    if (state.phase === GamePhase.ABILITY_TARGETING && state.abilityTargeting) {
+        return state.abilityTargeting.currentPlayer;
+    }
+    if (state.phase === GamePhase.RESOLUTION_COMBAT && state.pendingAllocations.length > 0) {
+        return state.pendingAllocations[0].attackingFaction;
+    }
+    if (isResolutionPhase(state.phase) && state.pendingOrderings.length > 0) {
+        return getSecondFaction(state);
+    }
+    return null;
+}
+
+// First and Second Faction are roles given to the players for each game,
+// separate from their seats (Player 1 at the bottom, Player 2 at the top).
+// The First Faction moves first each round; the Second Faction moves second,
+// picks its ability targets first and decides the order of simultaneous
+// effects that cannot resolve simultaneously.
+export function getFirstFaction(state) {
+    return state.firstFaction;
+}
+
+export function getSecondFaction(state) {
+    return state.firstFaction === 1 ? 2 : 1;
+}
+
+// Player who moves in a faction phase: FACTION_1 is the First Faction's
+// phase and FACTION_2 the Second Faction's
+export function getPhaseFaction(state, phase = state.phase) {
+    if (phase === GamePhase.FACTION_1) return getFirstFaction(state);
+    if (phase === GamePhase.FACTION_2) return getSecondFaction(state);
+    return null;
+}
+
+// Find a unit by id
+export function getUnitById(state, unitId) {
+    return state.units.find(u => u.id === unitId) || null;
+}
+
+// Get valid moves for a unit
+export function getValidMoves(state, unit) {
+    if (isEngaged(state, unit)) {
+        // Engaged units can't move, except Assault Beasts (Trample)
+        if (unit.type.id !== UnitTypes.ASSAULT_BEASTS.id) {
+            return [];
+        }
+    }
+    
+    // Special case: COMMANDER shows friendly units in Range 2 (Forward! ability)
+    if (unit.type.id === UnitTypes.COMMANDER.id) {
+        const targetHexes = [];
+        const seenHexes = new Set();
+        
+        for (const friendlyUnit of getForwardOrderTargets(state, unit)) {
+            const hexKey = `${friendlyUnit.row},${friendlyUnit.col}`;
+            if (!seenHexes.has(hexKey)) {
+                seenHexes.add(hexKey);
+                targetHexes.push({ row: friendlyUnit.row, col: friendlyUnit.col });
+            }
+        }
+        
+        return targetHexes;
+    }
+    
+    // Special case: AERIAL can move to any empty hex (except enemy castle)
+    if (unit.type.id === UnitTypes.AERIAL.id) {
+        const moves = [];
+        const enemyCastleRow = unit.faction === 1 ? 0 : 5;
+        
+        // Check all hexes on the board
+        for (let row = 0; row < 6; row++) {
+            for (let col = 0; col < 6; col++) {
+                // Skip current position
+                if (row === unit.row && col === unit.col) continue;
+                
+                // Skip enemy castle hexes
+                if (row === enemyCastleRow) continue;
+                
+                // Check if hex is empty (no units at all)
+                const unitsAtHex = state.units.filter(u =>
+                    u.row === row && u.col === col && isAlive(u)
+                );
+                
+                if (unitsAtHex.length === 0 && canEndInHex(state, unit, row, col)) {
+                    moves.push({ row, col });
+                }
+            }
+        }
+        
+        return moves;
+    }
+    
+    // Every unit moves 1 hex per move. Mounted units get two separate
+    // 1-hex moves (see pendingSecondMove) so the charge bonus is explicit.
+    const maxMovement = 1;
+    
+    const moves = [];
+    const visited = new Set();
+    const queue = [{ hex: { row: unit.row, col: unit.col }, distance: 0 }];
+    
+    while (queue.length > 0) {
+        const current = queue.shift();
+        const { hex, distance } = current;
+        const key = `${hex.row},${hex.col}`;
+        
+        if (visited.has(key) || distance > maxMovement) continue;
+        visited.add(key);
+        
+        // Add this hex as a valid move
+        if (distance > 0) { // Don't include starting position in BFS
+            if (canEndInHex(state, unit, hex.row, hex.col) || canPassThroughHex(state, unit, hex.row, hex.col)) {
+                moves.push(hex);
+            }
+        }
+        
+        // Explore adjacent hexes if we haven't reached max distance
+        if (distance < maxMovement) {
+            const adjacent = getAdjacentHexes(hex.row, hex.col);
+            for (const nextHex of adjacent) {
+                const nextKey = `${nextHex.row},${nextHex.col}`;
+                if (!visited.has(nextKey)) {
+                    queue.push({ hex: nextHex, distance: distance + 1 });
+                }
+            }
+        }
+    }
+    
+    // Can also stay in place, unless a Mounted unit is passing through a full hex
+    if (canEndInHex(state, unit, unit.row, unit.col)) {
+        moves.push({ row: unit.row, col: unit.col });
+    }
+    
+    return moves;
+}
+
+// Commander: allied units in Range 2 that Forward! can order
+export function getForwardOrderTargets(state, commander) {
+    return state.units.filter(u =>
+        u.id !== commander.id &&
+        u.faction === commander.faction &&
+        isAlive(u) &&
+        hexDistance(commander.row, commander.col, u.row, u.col) > 0 &&
+        hexDistance(commander.row, commander.col, u.row, u.col) <= 2
+    );
+}
+
+// Move a unit
+export function moveUnit(state, unit, newRow, newCol) {
+    const oldRow = unit.row;
+    const oldCol = unit.col;
+    
+    // For Mounted units: track if this is the second move in this activation
+    const isMountedSecondMove = unit.type.id === UnitTypes.MOUNTED.id && unit.movedThisTurn;
+    
+    // Add move animation
+    unit.moveAnimation = {
+        startRow: oldRow,
+        startCol: oldCol,
+        endRow: newRow,
+        endCol: newCol,
+        startTime: Date.now(),
+        duration: 400
+    };
+    
+    unit.row = newRow;
+    unit.col = newCol;
+    unit.movedThisTurn = true;
+    
+    // For Mounted units: handle first vs second move
+    if (unit.type.id === UnitTypes.MOUNTED.id && !isMountedSecondMove) {
+        // First move: set pending second move, don't mark as activated
+        state.pendingSecondMove = unit.id;
+    } else {
+        // Regular units or Mounted second move: mark as activated
+        state.activatedUnits.add(unit.id);
+        state.pendingSecondMove = null; // Clear pending if it was the second move
+    }
+    
+    // Check for engagement
+    const enemyFaction = unit.faction === 1 ? 2 : 1;
+    
+    // Trample (trampleDamage rule): Assault Beasts hit every opponent unit in the hex they enter,
+    // before engaging whoever is left
+    const isEntering = newRow !== oldRow || newCol !== oldCol;
+    if (state.rules.trampleDamage && unit.type.id === UnitTypes.ASSAULT_BEASTS.id && isEntering) {
+        const trampled = getFactionUnitsAt(state, newRow, newCol, enemyFaction);
+        for (const enemy of trampled) {
+            applyDamage(state, enemy, 1, { actor: unit, ability: 'Trample' });
+        }
+        if (trampled.length > 0) {
+            removeDeadUnits(state);
+        }
+    }
+    
+    const enemiesAtHex = getFactionUnitsAt(state, newRow, newCol, enemyFaction);
+    if (enemiesAtHex.length > 0) {
+        logEvent(state, EventType.ENGAGED, { actor: unit, targets: enemiesAtHex, hex: { row: newRow, col: newCol } });
+        
+        // Apply Mounted Charge bonus if this is the second move (charge)
+        if (isMountedSecondMove) {
+            // Check for Spears Counter Charge (see getCounterChargeSpears)
+            const counterChargingSpears = getCounterChargeSpears(state, unit);
+            
+            if (counterChargingSpears.length > 1) {
+                // Several Spears can counter - the defender chooses which one does (CounterCharge)
+                state.pendingCounterCharge = {
+                    unitId: unit.id,
+                    spearsIds: counterChargingSpears.map(u => u.id)
+                };
+            } else if (counterChargingSpears.length === 1) {
+                // Counter Charge activated - cancel charge damage and damage the Mounted unit
+                applyCounterCharge(state, counterChargingSpears[0], unit);
+            } else if (enemiesAtHex.length > 1) {
+                // Multiple enemies - the player chooses which one gets trampled (ChargeTarget)
+                state.pendingCharge = {
+                    unitId: unit.id,
+                    targetIds: enemiesAtHex.map(e => e.id)
+                };
+                return;
+            } else {
+                // Single enemy - apply charge bonus directly
+                applyMountedChargeBonus(state, unit, enemiesAtHex[0], 2);
+            }
+        }
+    }
+    
+    logEvent(state, EventType.UNIT_MOVED, {
+        actor: unit,
+        from: { row: oldRow, col: oldCol },
+        hex: { row: newRow, col: newCol }
+    });
+}
+
+// Apply a pending Mounted charge to the chosen enemy
+export function applyChargeTarget(state, targetId) {
+    const unit = getUnitById(state, state.pendingCharge.unitId);
+    const target = getUnitById(state, targetId);
+    state.pendingCharge = null;
+    
+    applyMountedChargeBonus(state, unit, target, 2);
+    logEvent(state, EventType.ABILITY_USED, { actor: unit, target, ability: 'Trample', hex: { row: target.row, col: target.col } });
+}
+
+// Spears cancels a Mounted charge and deals its damage to the Mounted unit instead
+function applyCounterCharge(state, spears, mounted) {
+    applySpearCounterCharge(state, spears, mounted);
+    logEvent(state, EventType.CHARGE_COUNTERED, { actor: spears, target: mounted, hex: { row: mounted.row, col: mounted.col } });
+}
+
+// Apply a pending Counter Charge with the Spears the defender chose
+export function applyCounterChargeChoice(state, spearsId) {
+    const mounted = getUnitById(state, state.pendingCounterCharge.unitId);
+    state.pendingCounterCharge = null;
+    
+    applyCounterCharge(state, getUnitById(state, spearsId), mounted);
+}
+
+// Mounted unit gives up its second move
+export function skipSecondMove(state) {
+    if (!state.pendingSecondMove) return;
+    state.activatedUnits.add(state.pendingSecondMove);
+    state.pendingSecondMove = null;
+}
+
+// Commander: Forward! moves an allied unit and uses up the Commander's activation
+export function applyForwardOrder(state, commander, target, row, col) {
+    moveUnit(state, target, row, col);
+    state.activatedUnits.add(commander.id);
+}
+
+// Jesters: Taunt pulls an adjacent enemy in and uses up the Jesters' activation
+export function applyTaunt(state, jesters, target) {
+    applyJestersTaunt(state, jesters, target);
+    state.activatedUnits.add(jesters.id);
+}
+
+// One-and-two engagements
+// Settled in the ENGAGEMENT phase after both faction phases. With the
+// stickyEngagement rule the pairing is chosen as soon as the hex is entered
+// and kept across rounds; only the free unit's choice is made each round.
+
+// Next engagement decision that must be made before play continues
+// Returns { type: 'engage', faction, unitId, hex, targetIds } for the owner of the single unit,
+// { type: 'free', faction, unitId, hex } for the owner of the free unit, or null
+export function getPendingEngagement(state) {
+    const isEngagementPhase = state.phase === GamePhase.ENGAGEMENT;
+    if (!isEngagementPhase && !(isFactionPhase(state.phase) && state.rules.stickyEngagement)) return null;
+    
+    const engagements = getCurrentEngagements(state);
+    for (const { hex, unit, enemies } of getOneAndTwoHexes(state)) {
+        const enemyIds = enemies.map(u => u.id);
+        const engagement = engagements.find(e =>
+            e.unitId === unit.id && enemyIds.includes(e.engagedId) && enemyIds.includes(e.freeId)
+        );
+        
+        if (!engagement) {
+            return { type: 'engage', faction: unit.faction, unitId: unit.id, hex, targetIds: enemyIds };
+        }
+        if (isEngagementPhase && !engagement.freeChoice) {
+            return { type: 'free', faction: enemies[0].faction, unitId: engagement.freeId, hex };
+        }
+    }
+    return null;
+}
+
+// The single unit's owner picks the enemy it is Engaged with; the other one is free
+export function chooseEngagement(state, unitId, targetId) {
+    const unit = getUnitById(state, unitId);
+    const engaged = getUnitById(state, targetId);
+    const free = getFactionUnitsAt(state, unit.row, unit.col, engaged.faction).find(u => u.id !== targetId);
+    
+    state.engagements = state.engagements.filter(e => e.unitId !== unitId);
+    state.engagements.push({
+        hex: { row: unit.row, col: unit.col },
+        unitId,
+        engagedId: targetId,
+        freeId: free.id,
+        freeChoice: null
+    });
+    logEvent(state, EventType.ENGAGED, { actor: unit, targets: [engaged], hex: { row: unit.row, col: unit.col } });
+    
+    if (state.phase === GamePhase.ENGAGEMENT) {
+        continueEngagementPhase(state);
+    }
+}
+
+// The free unit joins the combat or stays out of it to use its ability
+export function chooseFreeUnitAction(state, unitId, choice) {
+    const engagement = getCurrentEngagements(state).find(e => e.freeId === unitId);
+    engagement.freeChoice = choice;
+    
+    const unit = getUnitById(state, unitId);
+    if (choice === 'combat') {
+        logEvent(state, EventType.ENGAGED, { actor: unit, targets: [getUnitById(state, engagement.unitId)], hex: engagement.hex });
+    } else {
+        logMessage(state, `${getUnitDisplayName(state, unit)} stays out of the combat to use its ability`);
+    }
+    
+    continueEngagementPhase(state);
+}
+
+// Would a free unit have an ability to use this Resolution
+function hasUsableAbility(state, unit) {
+    if (getAbilityTargetOptions(state, unit).length > 0) return true;
+    if (unit.type.id === UnitTypes.BATTERY_RAM.id) return isInEnemyCastle(unit);
+    return false;
+}
+
+// Free units with nothing else to do fight without asking; once every
+// engagement is settled, move on to ability targeting
+function continueEngagementPhase(state) {
+    for (const engagement of getCurrentEngagements(state)) {
+        if (engagement.freeChoice) continue;
+        const unit = getUnitById(state, engagement.freeId);
+        if (!hasUsableAbility(state, unit)) {
+            chooseFreeUnitAction(state, unit.id, 'combat');
+            return;
+        }
+    }
+    
+    if (!getPendingEngagement(state)) {
+        startAbilityTargeting(state);
+    }
+}
+
+// Get units that have abilities requiring target selection
+export function getUnitsNeedingAbilityTargets(state) {
+    const units = [];
+    
+    for (const unit of state.units) {
+        if (!isAlive(unit)) continue; // Dead units
+        
+        // Only unengaged units with something to aim at need a target
+        if (isEngaged(state, unit)) continue;
+        
+        if (getAbilityTargetOptions(state, unit).length > 0) {
+            units.push(unit);
+        }
+    }
+    
+    return units;
+}
+
+// Possible ability selections for a unit: { unitId } for unit targets, { hex } for Mortar,
+// { column } for Fire!, and { skip: true } to hold the ability this Resolution
+export function getAbilityTargetOptions(state, unit) {
+    const aims = getAbilityAims(state, unit);
+    return aims.length > 0 ? [...aims, { skip: true }] : [];
+}
+
+// The selection auto-targeting makes for a unit: Archers keep their last target
+// while it is in range, everything else takes its first target
+export function getDefaultAbilitySelection(state, unit) {
+    const aims = getAbilityAims(state, unit);
+    if (aims.length === 0) return null;
+    
+    if (unit.type.id === UnitTypes.ARCHERS.id && unit.lastTarget) {
+        return aims.find(aim => aim.unitId === unit.lastTarget) || aims[0];
+    }
+    return aims[0];
+}
+
+// Ability selections that actually aim somewhere
+function getAbilityAims(state, unit) {
+    // Pierce (melee ability) - adjacent enemies
+    if (unit.type.id === UnitTypes.SPEARS.id) {
+        return getSpearsPierceTargets(state, unit).map(t => ({ unitId: t.id }));
+    }
+    
+    // Volley (ranged ability) - enemies in range 2
+    if (unit.type.id === UnitTypes.ARCHERS.id) {
+        return getArchersVolleyTargets(state, unit).map(t => ({ unitId: t.id }));
+    }
+    
+    // Mortar (ranged ability) - hexes with enemies in range 2, only if not moved
+    if (unit.type.id === UnitTypes.CANNON.id) {
+        const options = [];
+        for (const target of getCannonMortarTargets(state, unit)) {
+            if (!options.some(o => o.hex.row === target.row && o.hex.col === target.col)) {
+                options.push({ hex: { row: target.row, col: target.col } });
+            }
+        }
+        return options;
+    }
+    
+    // Fire! (ranged ability) - the whole column, so the only choice is whether to fire
+    if (unit.type.id === UnitTypes.MUSKETS.id) {
+        return getMusketsFireTargets(state, unit).length > 0 ? [{ column: unit.col }] : [];
+    }
+    
+    return [];
+}
+
+// Are two ability selections the same choice
+export function isSameAbilitySelection(a, b) {
+    if (a.hex) return Boolean(b.hex) && a.hex.row === b.hex.row && a.hex.col === b.hex.col;
+    if (a.column !== undefined) return a.column === b.column;
+    if (a.skip) return b.skip === true;
+    return a.unitId === b.unitId;
+}
+
+// Next unit of the targeting player still waiting for a selection
+export function getNextUnitNeedingTarget(state) {
+    if (!state.abilityTargeting || !state.abilityTargeting.active) return null;
+    
+    const currentPlayer = state.abilityTargeting.currentPlayer;
+    return state.abilityTargeting.unitsToTarget.find(u =>
+        u.faction === currentPlayer &&
+        !state.abilityTargeting.selections.has(u.id)
+    ) || null;
+}
+
+// Store an ability selection and move on to the next unit, player or the resolution
+export function selectAbilityTarget(state, unitId, selection) {
+    state.abilityTargeting.selections.set(unitId, selection);
+    
+    const unit = getUnitById(state, unitId);
+    const target = selection.unitId ? getUnitById(state, selection.unitId) : null;
+    logEvent(state, EventType.ABILITY_TARGETED, {
+        actor: unit,
+        target,
+        hex: selection.hex || (target ? { row: target.row, col: target.col } : { row: unit.row, col: unit.col }),
+        ...(selection.column !== undefined ? { column: selection.column } : {}),
+        ...(selection.skip ? { skip: true } : {})
+    });
+    
+    if (getNextUnitNeedingTarget(state)) {
+        // Current player has more units to target - stay with this player
+        logMessage(state, `Next unit for Player ${state.abilityTargeting.currentPlayer}...`);
+        return;
+    }
+    
+    const firstFaction = getFirstFaction(state);
+    if (state.abilityTargeting.currentPlayer !== firstFaction) {
+        // Second Faction done, switch to the First Faction if they have units needing targets
+        state.abilityTargeting.currentPlayer = firstFaction;
+        if (getNextUnitNeedingTarget(state)) {
+            logMessage(state, `Player ${firstFaction} selecting ability targets...`);
+            return;
+        }
+    }
+    
+    startResolution(state);
+}
+
+// End current faction phase
+export function endPhase(state) {
+    // Clear any pending second moves when phase ends
+    state.pendingSecondMove = null;
+    state.selectedUnit = null;
+    state.validMoves = [];
+    
+    if (state.phase === GamePhase.FACTION_1) {
+        state.phase = GamePhase.FACTION_2;
+        state.activatedUnits.clear();
+        logMessage(state, `Player ${getSecondFaction(state)} faction phase`);
+        return;
+    }
+    
+    if (state.phase !== GamePhase.FACTION_2) return;
+    
+    state.phase = GamePhase.ENGAGEMENT;
+    continueEngagementPhase(state);
+}
+
+// Ask for ability targets, or go straight to resolution if no unit needs one
+function startAbilityTargeting(state) {
+    // Check if any units have abilities that need targeting
+    const unitsNeedingTargeting = getUnitsNeedingAbilityTargets(state);
+    
+    if (unitsNeedingTargeting.length === 0) {
+        // No abilities need targeting, go straight to resolution
+        // (dropping last round's selections, abilities only use this round's)
+        state.abilityTargeting = null;
+        startResolution(state);
+        return;
+    }
+    
+    // The Second Faction selects first, unless only the First Faction has abilities
+    const secondFaction = getSecondFaction(state);
+    const secondHasAbilities = unitsNeedingTargeting.some(u => u.faction === secondFaction);
+    
+    state.phase = GamePhase.ABILITY_TARGETING;
+    state.abilityTargeting = {
+        active: true,
+        currentPlayer: secondHasAbilities ? secondFaction : getFirstFaction(state),
+        selections: new Map(),
+        unitsToTarget: unitsNeedingTargeting
+    };
+}
+
+// Enter the combat sub-phase and work out which damage splits are needed
+function startResolution(state) {
+    state.phase = GamePhase.RESOLUTION_COMBAT;
+    
+    // Clear combat tracking from previous resolution phase
+    state.unitsInCombatThisTurn.clear();
+    state.combatAllocations = [];
+    state.effectOrders = [];
+    
+    // Archers Engaged in this Resolution lose their Volley target
+    forgetLostVolleyTargets(state);
+    
+    // Clear ability targeting state now that resolution is starting
+    if (state.abilityTargeting) {
+        state.abilityTargeting.active = false;
+    }
+    
+    state.pendingAllocations = getPendingAllocations(state);
+    state.pendingOrderings = getOrderingConflicts(state);
+}
+
+// Combats where a faction deals damage to more than one enemy and must choose the split
+function getPendingAllocations(state) {
+    const pending = [];
+    
+    for (const group of getEngagedGroups(state)) {
+        for (const [attackingFaction, attackers, enemies] of [[1, group.faction1, group.faction2], [2, group.faction2, group.faction1]]) {
+            if (enemies.length < 2) continue;
+            
+            pending.push({
+                hex: group.hex,
+                attackingFaction,
+                targetIds: enemies.map(u => u.id),
+                totalDamage: attackers.reduce((sum, u) => sum + getCombatDamage(u), 0)
+            });
+        }
+    }
+    
+    return pending;
+}
+
+// Record the attacking player's damage split for the next pending combat
+export function allocateCombatDamage(state, damage) {
+    const pending = state.pendingAllocations.shift();
+    state.combatAllocations.push({
+        hex: pending.hex,
+        attackingFaction: pending.attackingFaction,
+        damage
+    });
+}
+
+// Effects of the current resolution sub-phase that cannot resolve simultaneously
+// Damage from combats and abilities adds up in any order; the conflicts are
+// instant wins - Battery Rams of both factions crashing through at once
+// Returns [{ ability, unitIds }]
+function getOrderingConflicts(state) {
+    if (state.phase === GamePhase.RESOLUTION_CASTLE) {
+        const rams = getCrashThroughUnits(state);
+        if (new Set(rams.map(u => u.faction)).size > 1) {
+            return [{ ability: 'Crash Through', unitIds: rams.map(u => u.id) }];
+        }
+    }
+    return [];
+}
+
+// Record the Second Faction's order for the next conflict
+export function orderEffects(state, unitIds) {
+    const pending = state.pendingOrderings.shift();
+    state.effectOrders.push({ ability: pending.ability, unitIds });
+    const units = unitIds.map(id => getUnitById(state, id));
+    logEvent(state, EventType.EFFECTS_ORDERED, {
+        targets: units,
+        targetFactions: units.map(u => u.faction),
+        faction: getSecondFaction(state),
+        ability: pending.ability
+    });
+}
+
+// Resolve the current resolution sub-phase and advance to the next one
+export function resolvePhase(state) {
+    switch (state.phase) {
+        case GamePhase.RESOLUTION_COMBAT:
+            resolveCombat(state, state.combatAllocations);
+            state.phase = GamePhase.RESOLUTION_MELEE;
+            break;
+        case GamePhase.RESOLUTION_MELEE:
+            resolveMeleeAbilities(state);
+            state.phase = GamePhase.RESOLUTION_RANGED;
+            break;
+        case GamePhase.RESOLUTION_RANGED:
+            resolveRangedAbilities(state);
+            state.phase = GamePhase.RESOLUTION_CASTLE;
+            break;
+        case GamePhase.RESOLUTION_CASTLE:
+            calculateCastleDamage(state, state.effectOrders);
+            endRound(state);
+            break;
+    }
+    
+    // The next sub-phase may need its conflicts ordered before it resolves
+    state.pendingOrderings = isResolutionPhase(state.phase) ? getOrderingConflicts(state) : [];
+}
+
+// Check the win condition and start the next round
+function endRound(state) {
+    const winResult = checkWinCondition(state);
+    if (winResult) {
+        state.phase = GamePhase.GAME_OVER;
+        // The unit power breakdown is kept with every result, not only round limit tiebreaks
+        state.result = { ...winResult, power: getUnitPower(state) };
+        // A draw has no winning faction
+        const event = { reason: winResult.reason };
+        if (winResult.winner) {
+            event.faction = winResult.winner;
+        }
+        recordEvent(state, EventType.GAME_OVER, event);
+        return;
+    }
+    
+    // Engagements are chosen again each Resolution, unless they are sticky
+    if (state.rules.stickyEngagement) {
+        pruneEngagements(state);
+        state.engagements.forEach(e => { e.freeChoice = null; });
+    } else {
+        state.engagements = [];
+    }
+    
+    state.phase = GamePhase.FACTION_1;
+    state.activatedUnits.clear();
+    state.round++;
+    // Reset moved flags for new round
+    for (const unit of state.units) {
+        unit.movedThisTurn = false;
+    }
+    state.pendingSecondMove = null;
+    logMessage(state, `Player ${getFirstFaction(state)} faction phase`);
+}
+
+// Every way to split a combat's damage between its targets
+function getDamageSplits(totalDamage, targetIds) {
+    if (targetIds.length === 1) {
+        return [{ [targetIds[0]]: totalDamage }];
+    }
+    
+    const [first, ...rest] = targetIds;
+    const splits = [];
+    for (let amount = totalDamage; amount >= 0; amount--) {
+        for (const split of getDamageSplits(totalDamage - amount, rest)) {
+            splits.push({ [first]: amount, ...split });
+        }
+    }
+    return splits;
+}
+
+// All actions the acting player may take right now
+export function legalActions(state) {
+    if (state.pendingCharge) {
+        return state.pendingCharge.targetIds.map(targetId => createChargeTargetAction(targetId));
+    }
+    if (state.pendingCounterCharge) {
+        return state.pendingCounterCharge.spearsIds.map(spearsId => createCounterChargeAction(spearsId));
+    }
+    
+    const engagement = getPendingEngagement(state);
+    if (engagement) {
+        if (engagement.type === 'engage') {
+            return engagement.targetIds.map(targetId => createEngageAction(engagement.unitId, targetId));
+        }
+        return ['combat', 'ability'].map(choice => createFreeUnitChoiceAction(engagement.unitId, choice));
+    }
+    
+    if (state.phase === GamePhase.FACTION_1 || state.phase === GamePhase.FACTION_2) {
+        const faction = getCurrentFaction(state);
+        const actions = [];
+        
+        if (state.pendingSecondMove) {
+            // Only the Mounted unit may finish its activation
+            const unit = getUnitById(state, state.pendingSecondMove);
+            for (const move of getValidMoves(state, unit)) {
+                actions.push(createMountedSecondMoveAction(unit.id, move.row, move.col));
+            }
+            if (!getUnfinishedMoveError(state)) {
+                actions.push(createSkipSecondMoveAction());
+            }
+        } else {
+            for (const unit of state.units) {
+                if (unit.faction !== faction || !isAlive(unit) || state.activatedUnits.has(unit.id)) continue;
+                
+                if (unit.type.id === UnitTypes.COMMANDER.id) {
+                    if (isEngaged(state, unit)) continue;
+                    for (const target of getForwardOrderTargets(state, unit)) {
+                        for (const move of getValidMoves(state, target)) {
+                            actions.push(createForwardOrderAction(unit.id, target.id, move.row, move.col));
+                        }
+                    }
+                    continue;
+                }
+                
+                for (const move of getValidMoves(state, unit)) {
+                    actions.push(createMoveAction(unit.id, move.row, move.col));
+                }
+                for (const target of getJestersTauntTargets(state, unit)) {
+                    actions.push(createTauntAction(unit.id, target.id));
+                }
+            }
+        }
+        
+        if (!getUnfinishedMoveError(state)) {
+            actions.push(createEndPhaseAction());
+        }
+        return actions;
+    }
+    
+    if (state.phase === GamePhase.ABILITY_TARGETING) {
+        const unit = getNextUnitNeedingTarget(state);
+        if (!unit) return [];
+        return getAbilityTargetOptions(state, unit).map(selection => createAbilityTargetAction(unit.id, selection));
+    }
+    
+    if (state.phase === GamePhase.RESOLUTION_COMBAT && state.pendingAllocations.length > 0) {
+        const pending = state.pendingAllocations[0];
+        return getDamageSplits(pending.totalDamage, pending.targetIds).map(damage =>
+            createCombatAllocationAction(pending.hex, pending.attackingFaction, damage)
+        );
+    }
+    
+    if (isResolutionPhase(state.phase) && state.pendingOrderings.length > 0) {
+        return getPermutations(state.pendingOrderings[0].unitIds).map(unitIds => createOrderEffectsAction(unitIds));
+    }
+    
+    if (isResolutionPhase(state.phase)) {
+        return [createResolveAction()];
+    }
+    
+    return [];
+}
+
+// Every order of a list of ids
+function getPermutations(ids) {
+    if (ids.length <= 1) return [ids];
+    return ids.flatMap((id, index) =>
+        getPermutations(ids.filter((_, other) => other !== index)).map(rest => [id, ...rest])
+    );
+}
+
+// Resolution sub-phases run one Resolve action at a time
+function isResolutionPhase(phase) {
+    return [
+        GamePhase.RESOLUTION_COMBAT,
+        GamePhase.RESOLUTION_MELEE,
+        GamePhase.RESOLUTION_RANGED,
+        GamePhase.RESOLUTION_CASTLE
+    ].includes(phase);
+}
+
+// A Mounted unit that moved into a hex it cannot end in has to make its second move
+function getUnfinishedMoveError(state) {
+    if (!state.pendingSecondMove) return null;
+    
+    const unit = getUnitById(state, state.pendingSecondMove);
+    const error = getStackingError(state, unit, unit.row, unit.col);
+    return error && `${getUnitDisplayName(state, unit)} must move on: ${error}`;
+}
+
+// Is the hex one of the listed moves
+function includesHex(moves, row, col) {
+    return moves.some(m => m.row === row && m.col === col);
+}
+
+// Check an action against the rules in the current state
+// Returns the reason it is illegal, or null if it may be applied
+export function validateAction(state, action) {
+    const shapeError = validateActionShape(action);
+    if (shapeError) return shapeError;
+    
+    if (state.phase === GamePhase.GAME_OVER) {
+        return 'The game is over';
+    }
+    
+    // A charge with two possible targets must be settled before anything else
+    if (state.pendingCharge) {
+        if (action.type !== ActionType.CHARGE_TARGET) {
+            return 'Choose the target of the Mounted charge first';
+        }
+        if (!state.pendingCharge.targetIds.includes(action.targetId)) {
+            return 'That unit is not a target of the charge';
+        }
+        return null;
+    }
+    if (state.pendingCounterCharge) {
+        const spears = getUnitById(state, state.pendingCounterCharge.spearsIds[0]);
+        if (action.type !== ActionType.COUNTER_CHARGE) {
+            return `Player ${spears.faction} must choose which Spears Counter Charges first`;
+        }
+        if (!state.pendingCounterCharge.spearsIds.includes(action.unitId)) {
+            return 'Those Spears cannot Counter Charge this charge';
+        }
+        return null;
+    }
+    
+    // So must a one-and-two engagement
+    const engagement = getPendingEngagement(state);
+    if (engagement) {
+        if (engagement.type === 'engage') {
+            if (action.type !== ActionType.ENGAGE || action.unitId !== engagement.unitId) {
+                return `Player ${engagement.faction} must choose which enemy ${getUnitDisplayName(state, getUnitById(state, engagement.unitId))} engages`;
+            }
+            if (!engagement.targetIds.includes(action.targetId)) return 'That unit is not in the engagement';
+            return null;
+        }
+        if (action.type !== ActionType.FREE_UNIT_CHOICE || action.unitId !== engagement.unitId) {
+            return `Player ${engagement.faction} must choose whether ${getUnitDisplayName(state, getUnitById(state, engagement.unitId))} fights or uses its ability`;
+        }
+        if (action.choice !== 'combat' && action.choice !== 'ability') return 'Choose combat or ability';
+        return null;
+    }
+    
+    const faction = getCurrentFaction(state);
+    const isFactionPhase = state.phase === GamePhase.FACTION_1 || state.phase === GamePhase.FACTION_2;
+    
+    switch (action.type) {
+        case ActionType.MOVE: {
+            if (!isFactionPhase) return 'Units can only move during a faction phase';
+            if (state.pendingSecondMove) return 'Finish or skip the Mounted second move first';
+            
+            const unit = getUnitById(state, action.unitId);
+            if (!unit || !isAlive(unit)) return 'Unknown unit';
+            if (unit.faction !== faction) return `It is Player ${faction}'s turn`;
+            if (state.activatedUnits.has(unit.id)) return `${getUnitDisplayName(state, unit)} was already activated`;
+            if (unit.type.id === UnitTypes.COMMANDER.id) return 'The Commander acts through Forward!';
+            if (!includesHex(getValidMoves(state, unit), action.row, action.col)) {
+                return `${getUnitDisplayName(state, unit)} cannot move to [${action.row}, ${action.col}]`;
+            }
+            return null;
+        }
+        case ActionType.MOUNTED_SECOND_MOVE: {
+            if (!isFactionPhase) return 'Units can only move during a faction phase';
+            if (state.pendingSecondMove !== action.unitId) return 'That unit has no second move';
+            
+            const unit = getUnitById(state, action.unitId);
+            if (!includesHex(getValidMoves(state, unit), action.row, action.col)) {
+                return `${getUnitDisplayName(state, unit)} cannot move to [${action.row}, ${action.col}]`;
+            }
+            return null;
+        }
+        case ActionType.SKIP_SECOND_MOVE:
+            if (!isFactionPhase || !state.pendingSecondMove) return 'No second move to skip';
+            return getUnfinishedMoveError(state);
+        case ActionType.FORWARD_ORDER: {
+            if (!isFactionPhase) return 'Forward! can only be used during a faction phase';
+            if (state.pendingSecondMove) return 'Finish or skip the Mounted second move first';
+            
+            const commander = getUnitById(state, action.unitId);
+            if (!commander || !isAlive(commander) || commander.type.id !== UnitTypes.COMMANDER.id) {
+                return 'Forward! needs a Commander';
+            }
+            if (commander.faction !== faction) return `It is Player ${faction}'s turn`;
+            if (state.activatedUnits.has(commander.id)) return `${getUnitDisplayName(state, commander)} was already activated`;
+            if (isEngaged(state, commander)) return `${getUnitDisplayName(state, commander)} is Engaged`;
+            
+            const target = getForwardOrderTargets(state, commander).find(u => u.id === action.targetId);
+            if (!target) return 'Forward! can only order an allied unit in Range 2';
+            if (!includesHex(getValidMoves(state, target), action.row, action.col)) {
+                return `${getUnitDisplayName(state, target)} cannot move to [${action.row}, ${action.col}]`;
+            }
+            return null;
+        }
+        case ActionType.TAUNT: {
+            if (!isFactionPhase) return 'Taunt can only be used during a faction phase';
+            if (state.pendingSecondMove) return 'Finish or skip the Mounted second move first';
+            
+            const jesters = getUnitById(state, action.unitId);
+            if (!jesters || !isAlive(jesters) || jesters.type.id !== UnitTypes.JESTERS.id) {
+                return 'Taunt needs Jesters';
+            }
+            if (jesters.faction !== faction) return `It is Player ${faction}'s turn`;
+            if (state.activatedUnits.has(jesters.id)) return `${getUnitDisplayName(state, jesters)} was already activated`;
+            if (isEngaged(state, jesters)) return `${getUnitDisplayName(state, jesters)} is Engaged`;
+            
+            if (!getJestersTauntTargets(state, jesters).some(u => u.id === action.targetId)) {
+                return 'Taunt can only pull an unengaged opponent unit in Range 1';
+            }
+            return null;
+        }
+        case ActionType.CHARGE_TARGET:
+            return 'No charge is waiting for a target';
+        case ActionType.COUNTER_CHARGE:
+            return 'No Counter Charge is waiting for a choice';
+        case ActionType.ENGAGE:
+        case ActionType.FREE_UNIT_CHOICE:
+            return 'No engagement is waiting for a choice';
+        case ActionType.ABILITY_TARGET: {
+            if (state.phase !== GamePhase.ABILITY_TARGETING) return 'Ability targets are chosen after both faction phases';
+            
+            const unit = getNextUnitNeedingTarget(state);
+            if (!unit || unit.id !== action.unitId) return 'That unit is not choosing a target now';
+            
+            const { selection } = action;
+            const isOption = getAbilityTargetOptions(state, unit).some(option => isSameAbilitySelection(option, selection));
+            if (!isOption) return `Not a valid target for ${getUnitDisplayName(state, unit)}`;
+            return null;
+        }
+        case ActionType.COMBAT_ALLOCATION: {
+            const pending = state.pendingAllocations[0];
+            if (state.phase !== GamePhase.RESOLUTION_COMBAT || !pending) return 'No combat damage to allocate';
+            if (action.attackingFaction !== pending.attackingFaction ||
+                action.hex.row !== pending.hex.row ||
+                action.hex.col !== pending.hex.col) {
+                return `Allocate Player ${pending.attackingFaction}'s damage at [${pending.hex.row}, ${pending.hex.col}] first`;
+            }
+            
+            let total = 0;
+            for (const [unitId, amount] of Object.entries(action.damage)) {
+                if (!pending.targetIds.includes(unitId)) return 'Damage can only go to units in the combat';
+                if (!Number.isInteger(amount) || amount < 0) return 'Damage must be a whole, non-negative number';
+                total += amount;
+            }
+            if (total !== pending.totalDamage) return `All ${pending.totalDamage} damage must be allocated`;
+            return null;
+        }
+        case ActionType.ORDER_EFFECTS: {
+            const pending = state.pendingOrderings[0];
+            if (!isResolutionPhase(state.phase) || !pending) return 'No effects are waiting to be ordered';
+            
+            const { unitIds } = action;
+            const isOrder = Array.isArray(unitIds) &&
+                unitIds.length === pending.unitIds.length &&
+                pending.unitIds.every(id => unitIds.includes(id));
+            if (!isOrder) return `Order every unit using ${pending.ability}`;
+            return null;
+        }
+        case ActionType.END_PHASE:
+            if (!isFactionPhase) return 'Only a faction phase can be ended';
+            return getUnfinishedMoveError(state);
+        case ActionType.RESOLVE:
+            if (!isResolutionPhase(state.phase)) return 'Nothing to resolve';
+            if (state.pendingAllocations.length > 0) return 'Combat damage must be allocated first';
+            if (state.pendingOrderings.length > 0) {
+                return `Player ${getSecondFaction(state)} must order the ${state.pendingOrderings[0].ability} effects first`;
+            }
+            return null;
+    }
+    
+    return null;
+}
+
+// Validate and apply an action to the game state (mutates and returns it)
+// Applied actions are recorded in state.actionHistory
+export function applyAction(state, action) {
+    const error = validateAction(state, action);
+    if (error) {
+        throw new Error(`Illegal ${action && action.type} action: ${error}`);
+    }
+    
+    const previousPhase = state.phase;
+    const actingFaction = getCurrentFaction(state);
+    
+    switch (action.type) {
+        case ActionType.MOVE:
+        case ActionType.MOUNTED_SECOND_MOVE:
+            moveUnit(state, getUnitById(state, action.unitId), action.row, action.col);
+            break;
+        case ActionType.SKIP_SECOND_MOVE:
+            skipSecondMove(state);
+            break;
+        case ActionType.FORWARD_ORDER:
+            applyForwardOrder(state, getUnitById(state, action.unitId), getUnitById(state, action.targetId), action.row, action.col);
+            break;
+        case ActionType.TAUNT:
+            applyTaunt(state, getUnitById(state, action.unitId), getUnitById(state, action.targetId));
+            break;
+        case ActionType.CHARGE_TARGET:
+            applyChargeTarget(state, action.targetId);
+            break;
+        case ActionType.COUNTER_CHARGE:
+            applyCounterChargeChoice(state, action.unitId);
+            break;
+        case ActionType.ENGAGE:
+            chooseEngagement(state, action.unitId, action.targetId);
+            break;
+        case ActionType.FREE_UNIT_CHOICE:
+            chooseFreeUnitAction(state, action.unitId, action.choice);
+            break;
+        case ActionType.ABILITY_TARGET:
+            selectAbilityTarget(state, action.unitId, action.selection);
+            break;
+        case ActionType.COMBAT_ALLOCATION:
+            allocateCombatDamage(state, action.damage);
+            break;
+        case ActionType.ORDER_EFFECTS:
+            orderEffects(state, action.unitIds);
+            break;
+        case ActionType.END_PHASE:
+            endPhase(state);
+            break;
+        case ActionType.RESOLVE:
+            resolvePhase(state);
+            break;
+    }
+    
+    // A unit moving into or out of a hex ends the one-and-two pairing there
+    if (isFactionPhase(state.phase)) {
+        pruneEngagements(state);
+    }
+    
+    // Keep a detached copy so later edits to the caller's object can't rewrite history
+    state.actionHistory.push(JSON.parse(JSON.stringify(action)));
+    
+    // A new action replaces whatever was undone; a new faction phase locks everything before it,
+    // and so does a choice the other player made in this one (e.g. which Spears Counter Charge)
+    state.redoActions = [];
+    if (isFactionPhase(state.phase) &&
+        (state.phase !== previousPhase || actingFaction !== getPhaseFaction(state))) {
+        takeUndoCheckpoint(state);
+    }
+    
+    return state;
+}
+
+// Undo/redo
+// Only the actions of the current faction phase can be undone. Undo restores
+// the snapshot taken when the phase began and replays the phase's remaining
+// actions, so the action history stays the only source of truth. Once the
+// phase ends the checkpoint moves on and earlier actions are locked; the same
+// happens when the other player answers during the phase, so nobody can take
+// back a move after seeing the opponent's reply to it.
+function isFactionPhase(phase) {
+    return phase === GamePhase.FACTION_1 || phase === GamePhase.FACTION_2;
+}
+
+function takeUndoCheckpoint(state) {
+    state.undoCheckpoint = null;
+    state.redoActions = [];
+    state.undoCheckpoint = {
+        historyLength: state.actionHistory.length,
+        snapshot: serializeGame(state)
+    };
+}
+
+// Actions taken so far in the current faction phase
+function getPhaseActions(state) {
+    if (!isFactionPhase(state.phase) || !state.undoCheckpoint) return [];
+    return state.actionHistory.slice(state.undoCheckpoint.historyLength);
+}
+
+// Rebuild the state in place from the phase checkpoint plus the given actions
+function replayPhase(state, actions) {
+    const checkpoint = state.undoCheckpoint;
+    const restored = deserializeGame(checkpoint.snapshot);
+    
+    for (const key of Object.keys(state)) {
+        delete state[key];
+    }
+    Object.assign(state, restored, { undoCheckpoint: checkpoint });
+    
+    for (const action of actions) {
+        applyAction(state, action);
+    }
+}
+
+// Not while the other player has a choice to make
+export function canUndo(state) {
+    return getPhaseActions(state).length > 0 && getCurrentFaction(state) === getPhaseFaction(state);
+}
+
+export function canRedo(state) {
+    const action = state.redoActions[state.redoActions.length - 1];
+    return isFactionPhase(state.phase) && !!action && validateAction(state, action) === null;
+}
+
+// Take back the last action of the current faction phase; returns the undone action
+export function undo(state) {
+    if (!canUndo(state)) {
+        throw new Error('Nothing to undo in this phase');
+    }
+    
+    const actions = getPhaseActions(state);
+    const undone = actions.pop();
+    const redoActions = [...state.redoActions, undone];
+    
+    replayPhase(state, actions);
+    state.redoActions = redoActions;
+    
+    return undone;
+}
+
+// Re-apply the most recently undone action; returns it
+export function redo(state) {
+    if (!canRedo(state)) {
+        throw new Error('Nothing to redo');
+    }
+    
+    const redoActions = state.redoActions.slice(0, -1);
+    const action = state.redoActions[state.redoActions.length - 1];
+    
+    applyAction(state, action);
+    state.redoActions = redoActions;
+    
+    return action;
+}
@@ -0,0 +1,111 @@
+// Game events
+// Everything that happens in a game is recorded in state.events as a plain,
+// JSON-serializable record: its type, the round and phase it happened in,
+// and the units, hex, amount and ability involved. The text log is rendered
+// from these records and the full log can filter them.
+
+export const EventType = {
+    MESSAGE: 'Message', // Free text: phase changes, setup and other notes
+    UNIT_MOVED: 'UnitMoved',
+    ENGAGED: 'Engaged', // A unit moved into a hex with enemies
+    CHARGE_COUNTERED: 'ChargeCountered', // Spears cancelled a Mounted charge
+    ABILITY_TARGETED: 'AbilityTargeted', // Target chosen for a resolution ability
+    ABILITY_USED: 'AbilityUsed', // Abilities that don't deal damage (Taunt, Trample)
+    EFFECTS_ORDERED: 'EffectsOrdered', // The Second Faction ordered effects that cannot resolve together
+    DAMAGE_DEALT: 'DamageDealt',
+    UNIT_DESTROYED: 'UnitDestroyed',
+    CASTLE_DAMAGED: 'CastleDamaged',
+    GAME_OVER: 'GameOver'
+};
+
+// Record an event in the current round and phase
+// fields: actorId, actorName, faction, targetId(s), targetName(s), targetFaction,
+// amount, hex, ability and any type-specific details
+export function recordEvent(state, type, fields = {}) {
+    const event = { type, round: state.round, phase: state.phase, ...fields };
+    state.events.push(event);
+    console.log(formatEvent(event));
+    return event;
+}
+
+// Render an event as a log line
+// formatName(name, unitId) lets the UI decorate unit names (defaults to plain text)
+export function formatEvent(event, formatName = name => name) {
+    const actor = event.actorName && formatName(event.actorName, event.actorId);
+    const target = event.targetName && formatName(event.targetName, event.targetId);
+    const hex = event.hex ? `${event.hex.row}, ${event.hex.col}` : '';
+    
+    switch (event.type) {
+        case EventType.UNIT_MOVED:
+            return `${actor} moves to [${hex}]`;
+        case EventType.ENGAGED: {
+            const targets = event.targetNames.map((name, i) => formatName(name, event.targetIds[i]));
+            return `${actor} engages with ${targets.join(' & ')} at (${hex})!`;
+        }
+        case EventType.CHARGE_COUNTERED:
+            return `${target}'s charge is countered by ${actor}!`;
+        case EventType.ABILITY_TARGETED:
+            if (event.skip) return `${actor} holds its ability`;
+            if (event.column !== undefined) return `${actor} will Fire! down column ${event.column}`;
+            return `${actor} will target ${target || `[${hex}]`}`;
+        case EventType.ABILITY_USED:
+            if (event.ability === 'Taunt') {
+                return `${actor} Taunt forces ${target} to move to (${hex})`;
+            }
+            if (event.ability === 'Trample') {
+                return `${actor} tramples ${target}!`;
+            }
+            return `${actor} uses ${event.ability} on ${target}`;
+        case EventType.EFFECTS_ORDERED: {
+            const targets = event.targetNames.map((name, i) => `${formatName(name, event.targetIds[i])} (P${event.targetFactions[i]})`);
+            return `Player ${event.faction} orders ${event.ability}: ${targets.join(', then ')}`;
+        }
+        case EventType.DAMAGE_DEALT:
+            if (event.ability) {
+                return `${actor} ${event.ability}: ${target} takes ${event.amount} damage (${event.remainingHp}/${event.maxHp}) at [${hex}]`;
+            }
+            return `${target} takes ${event.amount} damage (${event.maxHp - event.remainingHp}/${event.maxHp})`;
+        case EventType.UNIT_DESTROYED:
+            return `${target} is destroyed!`;
+        case EventType.CASTLE_DAMAGED:
+            if (event.ability === 'Crash Through') {
+                return `Battery Ram crashes through! Player ${event.faction} wins!`;
+            }
+            return `Player ${event.faction} deals ${event.amount} damage to enemy castle!`;
+        case EventType.GAME_OVER:
+            return `Game Over! ${event.reason}`;
+        default:
+            return event.text;
+    }
+}
+
+// Whether a loaded record has the shape formatEvent expects
+// Saves can come from anyone, so their events are checked before they are rendered
+export function isValidEvent(event) {
+    if (!event || typeof event !== 'object' || !Object.values(EventType).includes(event.type)) return false;
+    if (event.type === EventType.MESSAGE && typeof event.text !== 'string') return false;
+    
+    const isText = value => value === undefined || value === null || typeof value === 'string';
+    if (!isText(event.actorName) || !isText(event.targetName) || !isText(event.ability) || !isText(event.reason)) return false;
+    if (event.hex && !(Number.isInteger(event.hex.row) && Number.isInteger(event.hex.col))) return false;
+    
+    const names = event.targetNames;
+    if (event.type === EventType.ENGAGED || event.type === EventType.EFFECTS_ORDERED) {
+        if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) return false;
+        if (!Array.isArray(event.targetIds) || event.targetIds.length !== names.length) return false;
+    }
+    if (event.type === EventType.EFFECTS_ORDERED && !Array.isArray(event.targetFactions)) return false;
+    return true;
+}
+
+// Whether an event involves a unit, as actor or target
+export function eventInvolvesUnit(event, unitId) {
+    return event.actorId === unitId ||
+        event.targetId === unitId ||
+        (event.targetIds || []).includes(unitId);
+}
+
+// Whether an event involves a faction, as actor or target
+export function eventInvolvesFaction(event, faction) {
+    return event.faction === faction || event.targetFaction === faction;
+}
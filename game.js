@@ -1,27 +1,82 @@
 import { HexRenderer } from './renderer.js';
-import { loadRulesContent, displayRulesTab } from './rulesLoader.js';
+import { loadRulesContent, displayRulesTab, formatRosterMarkdown } from './rulesLoader.js';
 import {
     createGameState,
     createUnit,
     UnitTypes,
     GamePhase,
-    getAdjacentHexes,
     getFactionUnitsAt,
-    isEngaged,
     logMessage,
-    resolveCombatAsync,
-    checkWinCondition,
     getArchersVolleyTargets,
     getCannonMortarTargets,
     getSpearsPierceTargets,
+    getMusketsFireTargets,
     getJestersTauntTargets,
-    hexDistance,
-    applyMountedChargeBonus,
-    applySpearCounterCharge,
-    calculateCastleDamage,
-    resolveMeleeAbilities,
-    resolveRangedAbilities,
-    getUnitDisplayName} from './state.js';
+    getUnitDisplayName,
+    isUnitColor,
+    canEndInHex,
+    DEFAULT_RULES,
+    parseRules,
+    formatPower,
+    startArmyRolls,
+    rerollArmyDie,
+    shiftArmyDie,
+    keepArmyRoll,
+    getRolledArmy,
+    ROSTER_OPTIONS,
+    DEFAULT_ROSTER,
+    getUnitTypeForFace,
+    getRosterUnitTypes,
+    parseRoster} from './state.js';
+import {
+    newGame,
+    startGame,
+    applyAction,
+    getValidMoves,
+    getUnitById,
+    getNextUnitNeedingTarget,
+    getDefaultAbilitySelection,
+    getPendingEngagement,
+    getFirstFaction,
+    getSecondFaction,
+    getPhaseFaction,
+    canUndo,
+    canRedo,
+    undo,
+    redo} from './engine.js';
+import { saveGameToJSON, loadGameFromJSON } from './serialization.js';
+import { autosaveGame, listAutosaves, loadAutosave, getGameMode, autosaveMatch, loadAutosavedMatch, isHiddenPlacement } from './autosave.js';
+import { parseSeed, randomInt } from './rng.js';
+import { EventType, formatEvent, eventInvolvesUnit, eventInvolvesFaction } from './events.js';
+import { exportNotation, importNotation } from './notation.js';
+import { createReplay, getReplayMarks, getCurrentMark, isReplayAtEnd, seekReplay } from './replay.js';
+import { getPlacementArmy, commitPlacement, verifyPlacement, formatCommitment } from './commitment.js';
+import { loadSettings, saveSettings } from './settings.js';
+import {
+    BetweenGames,
+    parseMatchFormat,
+    formatMatchFormat,
+    createMatch,
+    getMatchFirstFaction,
+    recordMatchGame,
+    getMatchScore,
+    getMatchWinner,
+    isMatchOver} from './match.js';
+import {
+    createMoveAction,
+    createMountedSecondMoveAction,
+    createSkipSecondMoveAction,
+    createForwardOrderAction,
+    createTauntAction,
+    createChargeTargetAction,
+    createCounterChargeAction,
+    createEngageAction,
+    createFreeUnitChoiceAction,
+    createAbilityTargetAction,
+    createCombatAllocationAction,
+    createOrderEffectsAction,
+    createEndPhaseAction,
+    createResolveAction} from './actions.js';
 
 // Initialize game
 const canvas = document.getElementById('game-board');
@@ -39,6 +94,7 @@ let abilityTargeting = {
     targets: [],
     abilityType: null
 };
+const settings = loadSettings();
 
 // Animation queue for resolution phase
 class AnimationQueue {
@@ -95,28 +151,28 @@ class AnimationQueue {
 
 const animationQueue = new AnimationQueue();
 
+// Apply a player action through the engine - the single entry point for every decision
+// Illegal actions are reported in the log and leave the state untouched
+// Every committed action (including each resolution sub-phase) is autosaved
+function dispatch(action) {
+    try {
+        applyAction(state, action);
+        autosaveGame(state);
+        return true;
+    } catch (error) {
+        console.error(error);
+        logMessage(state, error.message);
+        return false;
+    }
+}
+
 // For milestone 1: create a demo setup with units
-function setupDemoGame() {
-    state = createGameState();
-    state.phase = GamePhase.FACTION_1;
+function setupDemoGame(config) {
+    // Both armies use the recommended first game setup
+    state = newGame(config);
     
     logMessage(state, '⚔️ Welcome to SmallTricks! A balanced demo battle awaits.');
-    
-    // Player 1 (bottom, blue) - recommended first game setup
-    state.units.push(createUnit(UnitTypes.MOUNTED, 1, 3, 0));
-    state.units.push(createUnit(UnitTypes.SPEARS, 1, 3, 2));
-    state.units.push(createUnit(UnitTypes.ARCHERS, 1, 4, 2));
-    state.units.push(createUnit(UnitTypes.ARCHERS, 1, 4, 3));
-    state.units.push(createUnit(UnitTypes.SPEARS, 1, 3, 3));
-    state.units.push(createUnit(UnitTypes.MOUNTED, 1, 3, 5));
-    
-    // Player 2 (top, green) - recommended first game setup
-    state.units.push(createUnit(UnitTypes.CANNON, 2, 1, 1));
-    state.units.push(createUnit(UnitTypes.ASSAULT_BEASTS, 2, 2, 1));
-    state.units.push(createUnit(UnitTypes.SPEARS, 2, 1, 2));
-    state.units.push(createUnit(UnitTypes.MOUNTED, 2, 2, 5));
-    state.units.push(createUnit(UnitTypes.ASSAULT_BEASTS, 2, 2, 3));
-    state.units.push(createUnit(UnitTypes.CANNON, 2, 1, 4));
+    autosaveGame(state);
     
     updateUI();
     render();
@@ -136,121 +192,6 @@ function startFactionSetup() {
     updateUI();
 }
 
-// Get valid moves for a unit
-function getValidMoves(unit) {
-    if (isEngaged(state, unit)) {
-        // Engaged units can't move, except Assault Beasts (Trample)
-        if (unit.type.id !== UnitTypes.ASSAULT_BEASTS.id) {
-            return [];
-        }
-    }
-    
-    // Special case: COMMANDER shows friendly units in Range 2 (Forward! ability)
-    if (unit.type.id === UnitTypes.COMMANDER.id) {
-        const targetHexes = [];
-        const seenHexes = new Set();
-        
-        // Find all friendly units in Range 2 (excluding self)
-        for (const friendlyUnit of state.units) {
-            if (friendlyUnit.id === unit.id) continue; // Skip self
-            if (friendlyUnit.faction !== unit.faction) continue; // Skip enemies
-            if (friendlyUnit.damage >= friendlyUnit.maxHp) continue; // Skip dead
-            
-            const distance = hexDistance(unit.row, unit.col, friendlyUnit.row, friendlyUnit.col);
-            if (distance > 0 && distance <= 2) {
-                const hexKey = `${friendlyUnit.row},${friendlyUnit.col}`;
-                if (!seenHexes.has(hexKey)) {
-                    seenHexes.add(hexKey);
-                    targetHexes.push({ row: friendlyUnit.row, col: friendlyUnit.col });
-                }
-            }
-        }
-        
-        return targetHexes;
-    }
-    
-    // Special case: AERIAL can move to any empty hex (except enemy castle)
-    if (unit.type.id === UnitTypes.AERIAL.id) {
-        const moves = [];
-        const enemyCastleRow = unit.faction === 1 ? 0 : 5;
-        
-        // Check all hexes on the board
-        for (let row = 0; row < 6; row++) {
-            for (let col = 0; col < 6; col++) {
-                // Skip current position
-                if (row === unit.row && col === unit.col) continue;
-                
-                // Skip enemy castle hexes
-                if (row === enemyCastleRow) continue;
-                
-                // Check if hex is empty (no units at all)
-                const unitsAtHex = state.units.filter(u => 
-                    u.row === row && u.col === col && u.damage < u.maxHp
-                );
-                
-                if (unitsAtHex.length === 0) {
-                    moves.push({ row, col });
-                }
-            }
-        }
-        
-        return moves;
-    }
-    
-    // Determine movement range based on unit type
-    let maxMovement = 1; // Default: 1 hex (adjacent)
-    
-    // Mounted units: split into two 1-hex moves for charge bonus clarity
-    // First move is 1 hex, if they move again, it's another 1 hex (total reach of 2)
-    if (unit.type.id === UnitTypes.MOUNTED.id) {
-        if (unit.movedThisTurn) {
-            // Second move: only 1 hex from current position
-            maxMovement = 1;
-        } else {
-            // First move: can move up to 1 hex from current position
-            // (we enforce the "two separate 1-hex moves" by allowing 1 hex at a time)
-            maxMovement = 1;
-        }
-    }
-    
-    const moves = [];
-    const visited = new Set();
-    const queue = [{ hex: { row: unit.row, col: unit.col }, distance: 0 }];
-    
-    while (queue.length > 0) {
-        const current = queue.shift();
-        const { hex, distance } = current;
-        const key = `${hex.row},${hex.col}`;
-        
-        if (visited.has(key) || distance > maxMovement) continue;
-        visited.add(key);
-        
-        // Add this hex as a valid move
-        if (distance > 0) { // Don't include starting position in BFS
-            const friendlyUnits = getFactionUnitsAt(state, hex.row, hex.col, unit.faction);
-            if (friendlyUnits.length < 2) {
-                moves.push(hex);
-            }
-        }
-        
-        // Explore adjacent hexes if we haven't reached max distance
-        if (distance < maxMovement) {
-            const adjacent = getAdjacentHexes(hex.row, hex.col);
-            for (const nextHex of adjacent) {
-                const nextKey = `${nextHex.row},${nextHex.col}`;
-                if (!visited.has(nextKey)) {
-                    queue.push({ hex: nextHex, distance: distance + 1 });
-                }
-            }
-        }
-    }
-    
-    // Can also stay in place
-    moves.push({ row: unit.row, col: unit.col });
-    
-    return moves;
-}
-
 // Handle click on board
 // Handle unit placement during setup - select/move existing units
 function handlePlacementClick(hex) {
@@ -289,13 +230,8 @@ function handlePlacementClick(hex) {
             return;
         }
         
-        // Check if target hex already has 2 units (excluding the one being moved)
-        const unitsAtHex = state.units.filter(u => 
-            u.row === hex.row && 
-            u.col === hex.col &&
-            u !== unitToMove
-        );
-        if (unitsAtHex.length >= 2) {
+        // Check the stacking rules (2 units per hex, 1 Militia)
+        if (!canEndInHex(state, unitToMove, hex.row, hex.col)) {
             return;
         }
         
@@ -303,6 +239,7 @@ function handlePlacementClick(hex) {
         unitToMove.row = hex.row;
         unitToMove.col = hex.col;
         placementPhase.selectedUnit = null;
+        autosaveGame(state);
         
         updateUI();
         render();
@@ -315,17 +252,43 @@ function handlePlacementClick(hex) {
 }
 
 // Confirm placement and move to next phase
-function confirmPlacement() {
-    if (!state.placementPhase) return;
+// With hidden setup the placement is sealed first, and revealed once both players have confirmed
+let sealingPlacement = false;
+// Sealed placements waiting for their reveal, per game: { [faction]: { army, salt, units } }
+// Only the commitment hashes go into the game state, so nothing can read the layout before the reveal
+const sealedPlacements = new WeakMap();
+
+async function confirmPlacement() {
+    if (!state.placementPhase || sealingPlacement) return;
+    // The next player has not taken the device yet
+    if (!document.getElementById('pass-device-overlay').classList.contains('hidden')) return;
     
     const { currentPlayer } = state.placementPhase;
+    const hidden = state.rules.hiddenSetup;
+    
+    if (hidden) {
+        const placingState = state;
+        sealingPlacement = true;
+        try {
+            await sealPlacement(currentPlayer);
+        } catch (error) {
+            console.error('Error sealing placement:', error);
+            logMessage(state, `Could not seal the placement: ${error.message}`);
+            updateUI();
+            return;
+        } finally {
+            sealingPlacement = false;
+        }
+        if (state !== placingState) return;
+    }
     
     if (currentPlayer === 1) {
         // Start Player 2 placement
         state.placementPhase = {
             currentPlayer: 2,
             placedUnits: [],
-            selectedUnit: null
+            selectedUnit: null,
+            sealed: state.placementPhase.sealed
         };
         
         // Place all units for Player 2 in default positions (row 0-2, spreading across columns)
@@ -334,25 +297,97 @@ function confirmPlacement() {
             const unitType = p2Units[i];
             const row = 2 - Math.floor(i / 3); // Distribute across rows 2-0 (reverse for P2)
             const col = i % 3; // Distribute across cols 0-2
-            const unit = createUnit(unitType, 2, row, col);
+            const unit = createUnit(state, unitType, 2, row, col);
             state.units.push(unit);
             state.placementPhase.placedUnits.push(unit);
         }
         
-        showPhaseTransition('Player 2 - Place Units');
         logMessage(state, 'Player 2 - Click units to reposition them on rows 0-2. Press Confirm when ready.');
+        if (hidden) {
+            showPassDeviceScreen(2);
+        } else {
+            showPhaseTransition('Player 2 - Place Units');
+        }
     } else {
         // Both players done - start game
+        if (hidden) {
+            const placingState = state;
+            try {
+                await revealPlacements();
+            } catch (error) {
+                console.error('Error revealing placements:', error);
+                logMessage(state, `Hidden setup failed: ${error.message}`);
+                updateUI();
+                return;
+            }
+            if (state !== placingState) return;
+        }
         delete state.placementPhase;
-        state.phase = GamePhase.FACTION_1;
-        showPhaseTransition('Round 1 - Player 1 Turn');
+        showPhaseTransition(`Round 1 - Player ${getFirstFaction(state)} Turn`);
         logMessage(state, 'Placement complete - game starting!');
+        startGame(state);
     }
     
+    autosaveGame(state);
     updateUI();
     render();
 }
 
+// Hidden setup: take the player's units off the board and show only their commitment
+async function sealPlacement(faction) {
+    const placementPhase = state.placementPhase;
+    const units = placementPhase.placedUnits;
+    const { commitment, reveal } = await commitPlacement(faction, getPlacementArmy(units));
+    
+    state.units = state.units.filter(unit => !units.includes(unit));
+    placementPhase.selectedUnit = null;
+    placementPhase.sealed = { ...placementPhase.sealed, [faction]: { hash: commitment.hash } };
+    sealedPlacements.set(state, { ...sealedPlacements.get(state), [faction]: { army: reveal.army, salt: reveal.salt, units } });
+    logMessage(state, `🔒 Player ${faction} placement committed (${formatCommitment(commitment)})`);
+}
+
+// Put both sealed placements on the board once each reveal matches its commitment
+// The units are placed where the verified reveal says, not where the sealed copies were left
+async function revealPlacements() {
+    const { sealed } = state.placementPhase;
+    const reveals = sealedPlacements.get(state) || {};
+    for (const faction of [1, 2]) {
+        if (!reveals[faction]) {
+            throw new Error(`Player ${faction}'s sealed placement is not on this device`);
+        }
+        const { army, salt } = reveals[faction];
+        await verifyPlacement({ faction, hash: sealed[faction].hash }, { faction, army, salt });
+    }
+    
+    for (const faction of [1, 2]) {
+        reveals[faction].units.forEach((unit, i) => {
+            unit.row = reveals[faction].army[i].row;
+            unit.col = reveals[faction].army[i].col;
+        });
+    }
+    state.units = [...reveals[1].units, ...reveals[2].units];
+    sealedPlacements.delete(state);
+    for (const faction of [1, 2]) {
+        logMessage(state, `🔓 Player ${faction} placement revealed - matches commitment ${formatCommitment(sealed[faction])}`);
+    }
+}
+
+// Hot-seat hidden setup: cover the board until the next player has the device
+function showPassDeviceScreen(player) {
+    document.getElementById('pass-device-player').textContent = player;
+    document.getElementById('pass-device-ready-player').textContent = player;
+    document.getElementById('pass-device-overlay').classList.remove('hidden');
+}
+
+function closePassDeviceScreen() {
+    const overlay = document.getElementById('pass-device-overlay');
+    if (overlay.classList.contains('hidden')) return;
+    overlay.classList.add('hidden');
+    if (state.placementPhase) {
+        showPhaseTransition(`Player ${state.placementPhase.currentPlayer} - Place Units`);
+    }
+}
+
 // Rules modal management
 let rulesLoaded = false;
 let rulesContent = null;
@@ -365,10 +400,12 @@ async function openRulesModal() {
     if (!rulesLoaded) {
         rulesContent = await loadRulesContent();
         displayRulesTab('summary', rulesContent.summary);
-        displayRulesTab('units', rulesContent.units);
         displayRulesTab('full', rulesContent.full);
         rulesLoaded = true;
     }
+    
+    // The units tab starts with what each dice face means in this game
+    displayRulesTab('units', (state ? formatRosterMarkdown(state.roster) : '') + rulesContent.units);
 }
 
 function closeRulesModal() {
@@ -393,23 +430,342 @@ function switchRulesTab(tabName) {
 // Full Log Modal management
 function openFullLogModal() {
     const modal = document.getElementById('full-log-modal');
+    
+    // Offer the event types, rounds and units of this game, keeping any filter already chosen
+    const allUnits = [...state.units, ...state.destroyedUnits[1], ...state.destroyedUnits[2]];
+    const rounds = Array.from({ length: state.round }, (_, i) => i + 1);
+    setFilterOptions('log-filter-type', 'All events', Object.values(EventType).map(type => [type, type]));
+    setFilterOptions('log-filter-round', 'All rounds', rounds.map(round => [round, `Round ${round}`]));
+    setFilterOptions('log-filter-unit', 'All units', allUnits.map(unit => [
+        unit.id,
+        `${unit.type.symbol} ${unit.type.name} #${unit.number} (P${unit.faction})`
+    ]));
+    
+    renderFullLog();
+    modal.classList.remove('hidden');
+}
+
+// Replace a filter's options, keeping its selection if it is still available
+function setFilterOptions(selectId, allLabel, options) {
+    const select = document.getElementById(selectId);
+    const selected = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>`;
+    for (const [value, label] of options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+    select.value = options.some(([value]) => String(value) === selected) ? selected : '';
+}
+
+// Display the events matching the full log filters, with the same formatting as the small log
+function renderFullLog() {
     const logBody = document.getElementById('full-log-body');
+    const type = document.getElementById('log-filter-type').value;
+    const faction = Number(document.getElementById('log-filter-faction').value);
+    const round = Number(document.getElementById('log-filter-round').value);
+    const unitId = document.getElementById('log-filter-unit').value;
+    
+    const events = state.events.filter(event =>
+        (!type || event.type === type) &&
+        (!faction || eventInvolvesFaction(event, faction)) &&
+        (!round || event.round === round) &&
+        (!unitId || eventInvolvesUnit(event, unitId))
+    );
     
-    // Display all log entries with same formatting as small log
     logBody.innerHTML = '';
-    for (const msg of state.log) {
+    for (const event of events) {
         const entryDiv = document.createElement('div');
         entryDiv.className = 'log-entry';
-        entryDiv.innerHTML = enhanceLogMessage(msg, state);
+        entryDiv.innerHTML = renderEventHtml(event);
         logBody.appendChild(entryDiv);
     }
     
-    modal.classList.remove('hidden');
+    if (events.length === 0) {
+        logBody.innerHTML = '<div class="log-empty">No events match these filters</div>';
+    }
 }
 
 function closeFullLogModal() {
     const modal = document.getElementById('full-log-modal');
     modal.classList.add('hidden');
+    document.getElementById('notation-panel').classList.add('hidden');
+}
+
+// Game notation export/import (full log modal)
+function showNotationPanel(text) {
+    const textArea = document.getElementById('notation-text');
+    textArea.value = text;
+    document.getElementById('notation-error').textContent = '';
+    document.getElementById('notation-panel').classList.remove('hidden');
+    textArea.focus();
+    textArea.select();
+}
+
+function exportGameNotation() {
+    try {
+        showNotationPanel(exportNotation(state));
+    } catch (error) {
+        showNotationPanel('');
+        document.getElementById('notation-error').textContent = error.message;
+    }
+}
+
+function copyNotation() {
+    const text = document.getElementById('notation-text').value;
+    navigator.clipboard.writeText(text).catch(() => {
+        // Clipboard access denied - the text is already selected for manual copying
+        document.getElementById('notation-text').select();
+    });
+}
+
+function replayGameNotation() {
+    try {
+        startReplay(importNotation(document.getElementById('notation-text').value));
+    } catch (error) {
+        console.error('Error replaying notation:', error);
+        document.getElementById('notation-error').textContent = error.message;
+    }
+}
+
+function loadGameNotation() {
+    try {
+        const importedState = importNotation(document.getElementById('notation-text').value);
+        endMatch();
+        restoreGame(importedState);
+        closeFullLogModal();
+        logMessage(state, `📥 Game loaded from notation (Round ${state.round})`);
+        updateUI();
+    } catch (error) {
+        console.error('Error importing notation:', error);
+        document.getElementById('notation-error').textContent = error.message;
+    }
+}
+
+// Save game: download the full state as a JSON file
+function saveGame() {
+    if (isHiddenPlacement(state)) {
+        logMessage(state, '💾 Hidden placements cannot be saved until both have been revealed');
+        updateUI();
+        return;
+    }
+    const json = saveGameToJSON(state);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `smalltricks-round-${state.round}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    
+    logMessage(state, `💾 Game saved (Round ${state.round})`);
+    updateUI();
+}
+
+// Load game: read a save file chosen by the player
+async function loadGame(file) {
+    try {
+        const loadedState = loadGameFromJSON(await file.text());
+        endMatch();
+        restoreGame(loadedState);
+        logMessage(state, `📂 Game loaded (Round ${state.round})`);
+        updateUI();
+    } catch (error) {
+        console.error('Error loading game:', error);
+        logMessage(state, `Could not load ${file.name}: ${error.message}`);
+        updateUI();
+    }
+}
+
+// Replace the current game with a restored state and bring the UI in line with it
+function restoreGame(restoredState) {
+    endReplayMode();
+    state = restoredState;
+    autosaveGame(state);
+    
+    // Close anything that belonged to the previous game
+    document.getElementById('mode-selection-modal').classList.add('hidden');
+    document.getElementById('app').classList.remove('hidden');
+    closeUnitPickerModal();
+    closeDamageAllocationModal();
+    closeGameOverModal();
+    closeMatchSummary();
+    
+    // A hidden placement in progress stays covered until its player has the device
+    if (state.placementPhase && state.rules.hiddenSetup) {
+        showPassDeviceScreen(state.placementPhase.currentPlayer);
+    } else {
+        document.getElementById('pass-device-overlay').classList.add('hidden');
+    }
+    
+    // Continue a draft that was still picking units
+    const overlay = document.getElementById('draft-overlay');
+    if (state.draftUnits && state.draftCurrentPick < state.draftPickOrder.length) {
+        showDraftUI();
+    } else {
+        overlay.classList.add('hidden');
+    }
+    
+    // ...or armies that were still being rolled
+    if (state.rollPhase) {
+        showRollUI();
+    } else {
+        document.getElementById('roll-overlay').classList.add('hidden');
+    }
+    
+    promptPendingChoice();
+    
+    // Pick the resolution sequence back up where it was saved
+    if (RESOLUTION_STEPS[state.phase]) {
+        showPhaseTransition('Resolution Phase');
+        executeResolutionSequence();
+    }
+    
+    updateUI();
+    render();
+}
+
+// Replay viewer
+// The replay's state is shown in place of the game, so the board, unit panels
+// and message log all follow the replay position. The live game is kept aside
+// and restored when the replay is closed.
+let replay = null;
+let replayLiveState = null;
+let replayTimer = null;
+const REPLAY_ACTION_DURATION = 800; // Time per action at 1x (resolution steps use RESOLUTION_STEPS)
+
+// Start replaying a game from its beginning; throws if the game cannot be replayed
+function startReplay(game) {
+    // The sealed placements only live in the current game object, which leaving a replay replaces
+    const liveState = replay ? replayLiveState : state;
+    if (isHiddenPlacement(liveState)) {
+        logMessage(liveState, '🎬 Replays are available once both hidden placements have been revealed');
+        updateUI();
+        return;
+    }
+    
+    const newReplay = createReplay(game);
+    
+    if (!replay) {
+        replayLiveState = state;
+    }
+    pauseReplay();
+    replay = newReplay;
+    state = replay.state;
+    
+    closeUnitPickerModal();
+    closeDamageAllocationModal();
+    closeFullLogModal();
+    closeGameOverModal();
+    closeMatchSummary();
+    
+    const jumpSelect = document.getElementById('replay-jump');
+    jumpSelect.innerHTML = '';
+    for (const mark of getReplayMarks(replay)) {
+        const option = document.createElement('option');
+        option.value = mark.position;
+        option.textContent = getReplayMarkLabel(mark);
+        jumpSelect.appendChild(option);
+    }
+    document.getElementById('replay-controls').classList.remove('hidden');
+    
+    showPhaseTransition('🎬 Replay');
+    updateUI();
+    render();
+}
+
+function getReplayMarkLabel({ round, phase }) {
+    const phaseLabels = {
+        [GamePhase.FACTION_1]: `Player ${getPhaseFaction(state, GamePhase.FACTION_1)} Move`,
+        [GamePhase.FACTION_2]: `Player ${getPhaseFaction(state, GamePhase.FACTION_2)} Move`,
+        [GamePhase.ENGAGEMENT]: '🤺 Engagements',
+        [GamePhase.ABILITY_TARGETING]: '🎯 Select Targets',
+        [GamePhase.GAME_OVER]: '🏁 Game Over'
+    };
+    const label = RESOLUTION_STEPS[phase] ? RESOLUTION_STEPS[phase].title : phaseLabels[phase] || phase;
+    return `Round ${round} · ${label}`;
+}
+
+// Leave the replay and go back to the game that was being played
+function exitReplay() {
+    if (!replay) return;
+    // Restore a copy: a resolution sequence the replay interrupted must stay stopped
+    restoreGame(loadGameFromJSON(saveGameToJSON(replayLiveState)));
+}
+
+function endReplayMode() {
+    pauseReplay();
+    replay = null;
+    replayLiveState = null;
+    document.getElementById('replay-controls').classList.add('hidden');
+}
+
+function seekReplayTo(position) {
+    state = seekReplay(replay, position);
+    updateUI();
+    render();
+}
+
+function toggleReplayPlayback() {
+    if (replayTimer) {
+        pauseReplay();
+    } else {
+        if (isReplayAtEnd(replay)) {
+            seekReplayTo(0);
+        }
+        scheduleReplayStep();
+    }
+    updateReplayControls();
+}
+
+// Autoplay: resolution steps get the time their animations need, like in a live game
+function scheduleReplayStep() {
+    const speed = Number(document.getElementById('replay-speed').value);
+    const step = RESOLUTION_STEPS[state.phase];
+    const duration = step ? step.duration : REPLAY_ACTION_DURATION;
+    
+    replayTimer = setTimeout(() => {
+        replayTimer = null;
+        seekReplayTo(replay.position + 1);
+        if (!isReplayAtEnd(replay)) {
+            scheduleReplayStep();
+        }
+        updateReplayControls();
+    }, duration / speed);
+}
+
+function pauseReplay() {
+    clearTimeout(replayTimer);
+    replayTimer = null;
+}
+
+function updateReplayControls() {
+    const total = replay.actions.length;
+    const scrub = document.getElementById('replay-scrub');
+    scrub.max = total;
+    scrub.value = replay.position;
+    document.getElementById('replay-position').textContent = `Action ${replay.position} / ${total}`;
+    document.getElementById('replay-jump').value = getCurrentMark(replay).position;
+    document.getElementById('btn-replay-play').textContent = replayTimer ? '⏸️' : '▶️';
+    document.getElementById('btn-replay-start').disabled = replay.position === 0;
+    document.getElementById('btn-replay-back').disabled = replay.position === 0;
+    document.getElementById('btn-replay-forward').disabled = isReplayAtEnd(replay);
+    document.getElementById('btn-replay-end').disabled = isReplayAtEnd(replay);
+}
+
+function handleReplayKey(event) {
+    if (event.code === 'ArrowRight') {
+        event.preventDefault();
+        seekReplayTo(replay.position + 1);
+    } else if (event.code === 'ArrowLeft') {
+        event.preventDefault();
+        seekReplayTo(replay.position - 1);
+    } else if (event.code === 'Space' || event.code === 'Enter') {
+        event.preventDefault();
+        toggleReplayPlayback();
+    }
 }
 
 // Close modal on escape key
@@ -429,8 +785,15 @@ document.addEventListener('keydown', (event) => {
     }
 });
 
+// Keyboard shortcuts must not fire while typing in a text field (e.g. the notation box)
+function isTypingInField(event) {
+    return event.target instanceof HTMLTextAreaElement || event.target instanceof HTMLInputElement;
+}
+
 // Open rules with R key
 document.addEventListener('keydown', (event) => {
+    if (isTypingInField(event)) return;
+    
     // R: Open Rules modal
     if (event.code === 'KeyR' && !event.ctrlKey && !event.metaKey) {
         const modal = document.getElementById('rules-modal');
@@ -449,32 +812,44 @@ document.addEventListener('keydown', (event) => {
 });
 
 // Unit Picker Modal
-function showUnitPickerModal(units, onSelect) {
+function showUnitPickerModal(units, onSelect, title = 'Select Target Unit') {
+    const options = units.map(unit => {
+        const hp = unit.maxHp - unit.damage;
+        return {
+            unit,
+            symbol: unit.type.symbol,
+            name: getUnitDisplayName(state, unit),
+            detail: `❤️ ${hp}/${unit.maxHp}`,
+            detailClass: hp <= 2 ? 'unit-picker-hp-low' : ''
+        };
+    });
+    showChoiceModal(options, option => onSelect(option.unit), title);
+}
+
+// The unit picker with arbitrary options: [{ symbol, name, detail, detailClass }]
+function showChoiceModal(options, onSelect, title) {
     const modal = document.getElementById('unit-picker-modal');
     const body = document.getElementById('unit-picker-body');
+    modal.querySelector('.unit-picker-header h2').textContent = title;
     
     // Clear previous options
     body.innerHTML = '';
     
-    // Create option for each unit
-    for (const unit of units) {
+    for (const choice of options) {
         const option = document.createElement('div');
         option.className = 'unit-picker-option';
         
-        const hp = unit.maxHp - unit.damage;
-        const hpClass = hp <= 2 ? 'unit-picker-hp-low' : '';
-        
         option.innerHTML = `
-            <div class="unit-picker-emoji">${unit.type.symbol}</div>
+            <div class="unit-picker-emoji">${choice.symbol}</div>
             <div class="unit-picker-info">
-                <div class="unit-picker-name">${getUnitDisplayName(state, unit)}</div>
-                <div class="unit-picker-hp ${hpClass}">❤️ ${hp}/${unit.maxHp}</div>
+                <div class="unit-picker-name">${escapeHtml(choice.name)}</div>
+                <div class="unit-picker-hp ${choice.detailClass || ''}">${escapeHtml(choice.detail)}</div>
             </div>
         `;
         
         option.addEventListener('click', () => {
             closeUnitPickerModal();
-            onSelect(unit);
+            onSelect(choice);
         });
         
         body.appendChild(option);
@@ -524,7 +899,7 @@ function showDamageAllocationModal(enemies, totalDamage, attackingFaction, onCon
             <div class="damage-target-header">
                 <div class="damage-target-emoji">${enemy.type.symbol}</div>
                 <div class="damage-target-info">
-                    <div class="damage-target-name">${getUnitDisplayName(state, enemy)}</div>
+                    <div class="damage-target-name">${escapeHtml(getUnitDisplayName(state, enemy))}</div>
                     <div class="damage-target-hp">❤️ ${hp}/${enemy.maxHp}</div>
                 </div>
             </div>
@@ -580,122 +955,131 @@ function closeDamageAllocationModal() {
 function handleAbilityTargetingClick(hex) {
     if (!state.abilityTargeting || !state.abilityTargeting.active) return;
     
-    const currentPlayer = state.abilityTargeting.currentPlayer;
-    
-    // Get units that still need target selection for current player
-    const playerUnitsNeedingTargets = state.abilityTargeting.unitsToTarget.filter(u => 
-        u.faction === currentPlayer && 
-        !state.abilityTargeting.selections.has(u.id)
-    );
-    
-    if (playerUnitsNeedingTargets.length === 0) return;
-    
     // Get the first unit that needs a target
-    const sourceUnit = playerUnitsNeedingTargets[0];
+    const sourceUnit = getNextUnitNeedingTarget(state);
+    if (!sourceUnit) return;
     
     // Check if clicked location is a valid target for this unit's ability
-    let validTarget = false;
-    let targetData = null;
+    let validTargets = [];
     
     if (sourceUnit.type.name === 'Spears') {
         // Pierce: needs adjacent enemy unit
-        // Get all valid targets first, then filter by clicked hex
-        const validTargets = getSpearsPierceTargets(state, sourceUnit);
-        const validEnemiesAtHex = validTargets.filter(u => u.row === hex.row && u.col === hex.col);
-        
-        if (validEnemiesAtHex.length > 1) {
-            // Show unit picker modal
-            showUnitPickerModal(validEnemiesAtHex, (selectedUnit) => {
-                state.abilityTargeting.selections.set(sourceUnit.id, { unitId: selectedUnit.id });
-                logMessage(state, `${getUnitDisplayName(state, sourceUnit)} will target ${getUnitDisplayName(state, selectedUnit)}`);
-                setTimeout(() => {
-                    endPhase();
-                }, 300);
-                updateUI();
-                render();
-            });
-            return;
-        } else if (validEnemiesAtHex.length === 1) {
-            validTarget = true;
-            targetData = { unitId: validEnemiesAtHex[0].id };
-        }
+        validTargets = getSpearsPierceTargets(state, sourceUnit);
     } else if (sourceUnit.type.name === 'Archers') {
         // Volley: needs enemy unit in range 2
-        // Get all valid targets first, then filter by clicked hex
-        const validTargets = getArchersVolleyTargets(state, sourceUnit);
-        const validEnemiesAtHex = validTargets.filter(u => u.row === hex.row && u.col === hex.col);
-        
-        if (validEnemiesAtHex.length > 1) {
-            // Show unit picker modal
-            showUnitPickerModal(validEnemiesAtHex, (selectedUnit) => {
-                state.abilityTargeting.selections.set(sourceUnit.id, { unitId: selectedUnit.id });
-                logMessage(state, `${getUnitDisplayName(state, sourceUnit)} will target ${getUnitDisplayName(state, selectedUnit)}`);
-                setTimeout(() => {
-                    endPhase();
-                }, 300);
-                updateUI();
-                render();
-            });
-            return;
-        } else if (validEnemiesAtHex.length === 1) {
-            validTarget = true;
-            targetData = { unitId: validEnemiesAtHex[0].id };
-        }
-    } else if (sourceUnit.type.name === 'Jesters') {
-        // Taunt: needs adjacent enemy unit (range 1)
-        // Get all valid targets first, then filter by clicked hex
-        const validTargets = getJestersTauntTargets(state, sourceUnit);
-        const validEnemiesAtHex = validTargets.filter(u => u.row === hex.row && u.col === hex.col);
-        
-        if (validEnemiesAtHex.length > 1) {
-            // Show unit picker modal
-            showUnitPickerModal(validEnemiesAtHex, (selectedUnit) => {
-                state.abilityTargeting.selections.set(sourceUnit.id, { unitId: selectedUnit.id });
-                logMessage(state, `${getUnitDisplayName(state, sourceUnit)} will taunt ${getUnitDisplayName(state, selectedUnit)}`);
-                setTimeout(() => {
-                    endPhase();
-                }, 300);
-                updateUI();
-                render();
-            });
-            return;
-        } else if (validEnemiesAtHex.length === 1) {
-            validTarget = true;
-            targetData = { unitId: validEnemiesAtHex[0].id };
-        }
+        validTargets = getArchersVolleyTargets(state, sourceUnit);
     } else if (sourceUnit.type.name === 'Cannon') {
         // Mortar: needs hex in range 2 with enemies
         const targets = getCannonMortarTargets(state, sourceUnit);
-        const targetHex = targets.find(t => t.row === hex.row && t.col === hex.col);
-        if (targetHex) {
-            validTarget = true;
-            targetData = { hex: { row: hex.row, col: hex.col } };
+        if (targets.some(t => t.row === hex.row && t.col === hex.col)) {
+            commitAbilityTarget(sourceUnit, { hex: { row: hex.row, col: hex.col } });
+            return;
         }
+    } else if (sourceUnit.type.name === 'Muskets' && hex.col === sourceUnit.col) {
+        // Fire!: the whole column is hit, so the owner only confirms or holds fire
+        const targets = getMusketsFireTargets(state, sourceUnit);
+        const choices = [
+            { symbol: '🔫', name: 'Fire!', detail: `1 damage to each enemy in column ${sourceUnit.col} (${targets.length})`, selection: { column: sourceUnit.col } },
+            { symbol: '✋', name: 'Hold fire', detail: 'No damage this Resolution', selection: { skip: true } }
+        ];
+        showChoiceModal(choices, (choice) => {
+            commitAbilityTarget(sourceUnit, choice.selection);
+        }, `Player ${sourceUnit.faction}: ${getUnitDisplayName(state, sourceUnit)}`);
+        return;
     }
     
-    if (validTarget) {
-        // Store the selection
-        state.abilityTargeting.selections.set(sourceUnit.id, targetData);
-        logMessage(state, `${getUnitDisplayName(state, sourceUnit)} will target [${hex.row}, ${hex.col}]`);
-        
-        // Auto-advance to next unit or phase
-        // Small delay to show the selection visually before moving on
+    // Filter unit targets by clicked hex
+    const validEnemiesAtHex = validTargets.filter(u => u.row === hex.row && u.col === hex.col);
+    
+    if (validEnemiesAtHex.length > 1) {
+        // Show unit picker modal
+        showUnitPickerModal(validEnemiesAtHex, (selectedUnit) => {
+            commitAbilityTarget(sourceUnit, { unitId: selectedUnit.id });
+        });
+        return;
+    } else if (validEnemiesAtHex.length === 1) {
+        commitAbilityTarget(sourceUnit, { unitId: validEnemiesAtHex[0].id });
+        return;
+    }
+    
+    // Provide more helpful error message
+    const abilityName = sourceUnit.type.name === 'Spears' ? 'Pierce (adjacent only)' : 
+                       sourceUnit.type.name === 'Archers' ? 'Volley (range 1-2)' : 
+                       sourceUnit.type.name === 'Cannon' ? 'Mortar (range 1-2)' : 
+                       sourceUnit.type.name === 'Muskets' ? 'Fire! (its own column)' : 'ability';
+    logMessage(state, `No valid targets for ${getUnitDisplayName(state, sourceUnit)} ${abilityName} at [${hex.row}, ${hex.col}]`);
+    
+    updateUI();
+    render();
+}
+
+// Store an ability target and announce the next player or the resolution phase
+// Returns whether the selection was accepted
+function commitAbilityTarget(sourceUnit, selection) {
+    const previousPlayer = state.abilityTargeting.currentPlayer;
+    if (!dispatch(createAbilityTargetAction(sourceUnit.id, selection))) {
+        updateUI();
+        return false;
+    }
+    
+    if (state.phase === GamePhase.ABILITY_TARGETING) {
+        if (state.abilityTargeting.currentPlayer !== previousPlayer) {
+            showPhaseTransition(`Player ${state.abilityTargeting.currentPlayer}: Select Ability Targets`);
+        }
+    } else if (previousPlayer === getSecondFaction(state)) {
+        // The First Faction has no abilities, show message then go to resolution
+        const targetingState = state;
+        showPhaseTransition(`🎯 Player ${getFirstFaction(state)}: No Abilities Requiring Targets`);
         setTimeout(() => {
-            endPhase();
-        }, 300);
+            if (state !== targetingState) return;
+            showPhaseTransition('Resolution Phase');
+            executeResolutionSequence();
+        }, 1600);
     } else {
-        // Provide more helpful error message
-        const abilityName = sourceUnit.type.name === 'Spears' ? 'Pierce (adjacent only)' : 
-                           sourceUnit.type.name === 'Archers' ? 'Volley (range 1-2)' : 
-                           sourceUnit.type.name === 'Cannon' ? 'Mortar (range 1-2)' : 'ability';
-        logMessage(state, `No valid targets for ${getUnitDisplayName(state, sourceUnit)} ${abilityName} at [${hex.row}, ${hex.col}]`);
+        // First Faction done, start resolution
+        showPhaseTransition('Resolution Phase');
+        executeResolutionSequence();
     }
     
     updateUI();
     render();
+    return true;
+}
+
+// Hold the ability of the unit choosing a target now
+function skipAbilityTarget() {
+    const unit = getNextUnitNeedingTarget(state);
+    if (unit) commitAbilityTarget(unit, { skip: true });
+}
+
+// With the auto-target setting, select the default target of every ability still waiting
+function autoTargetAbilities() {
+    if (!settings.autoTargetAbilities) return;
+    
+    let unit;
+    while (state.phase === GamePhase.ABILITY_TARGETING && (unit = getNextUnitNeedingTarget(state))) {
+        if (!commitAbilityTarget(unit, getDefaultAbilitySelection(state, unit))) return;
+    }
+}
+
+function updateAutoTargetButton() {
+    document.getElementById('btn-auto-target').innerHTML =
+        `🎯 Auto-target: ${settings.autoTargetAbilities ? 'On' : 'Off'}`;
+}
+
+function toggleAutoTarget() {
+    settings.autoTargetAbilities = !settings.autoTargetAbilities;
+    saveSettings(settings);
+    updateAutoTargetButton();
+    if (state.phase === GamePhase.ABILITY_TARGETING) {
+        autoTargetAbilities();
+    }
 }
 
 function handleClick(event) {
+    // Replays are watched, not played
+    if (replay) return;
+    
     const rect = canvas.getBoundingClientRect();
     const x = event.clientX - rect.left;
     const y = event.clientY - rect.top;
@@ -703,6 +1087,12 @@ function handleClick(event) {
     const hex = renderer.pixelToHex(x, y);
     if (!hex) return;
     
+    // A Mounted charge, Counter Charge or engagement is waiting for a choice - ask again
+    if (state.pendingCharge || state.pendingCounterCharge || getPendingEngagement(state)) {
+        promptPendingChoice();
+        return;
+    }
+    
     // Handle placement phase
     if (state.placementPhase) {
         handlePlacementClick(hex);
@@ -720,7 +1110,7 @@ function handleClick(event) {
         return;
     }
     
-    const currentFaction = state.phase === GamePhase.FACTION_1 ? 1 : 2;
+    const currentFaction = getPhaseFaction(state);
     
     if (state.selectedUnit) {
         // Special handling for COMMANDER selecting a friendly unit to move
@@ -735,13 +1125,13 @@ function handleClick(event) {
                     // Multiple units - show unit picker modal
                     showUnitPickerModal(friendlyUnits, (selectedTarget) => {
                         state.commanderTarget = selectedTarget;
-                        state.validMoves = getValidMoves(selectedTarget);
+                        state.validMoves = getValidMoves(state, selectedTarget);
                         render();
                     });
                 } else if (friendlyUnits.length === 1) {
                     // Single unit - select it directly
                     state.commanderTarget = friendlyUnits[0];
-                    state.validMoves = getValidMoves(state.commanderTarget);
+                    state.validMoves = getValidMoves(state, state.commanderTarget);
                 }
             } else {
                 // Clicked away - cancel COMMANDER selection
@@ -753,11 +1143,8 @@ function handleClick(event) {
         else if (state.selectedUnit.type.id === UnitTypes.COMMANDER.id && state.commanderTarget) {
             const validMove = state.validMoves.find(m => m.row === hex.row && m.col === hex.col);
             if (validMove) {
-                // Move the target unit
-                moveUnit(state.commanderTarget, hex.row, hex.col);
-                
-                // Mark COMMANDER as activated (used Forward! ability)
-                state.activatedUnits.add(state.selectedUnit.id);
+                // Move the target unit and mark COMMANDER as activated (used Forward! ability)
+                commitMove(createForwardOrderAction(state.selectedUnit.id, state.commanderTarget.id, hex.row, hex.col));
                 
                 // Clear COMMANDER state
                 state.selectedUnit = null;
@@ -766,20 +1153,43 @@ function handleClick(event) {
             } else {
                 // Clicked away - cancel and go back to COMMANDER selection
                 state.commanderTarget = null;
-                state.validMoves = getValidMoves(state.selectedUnit);
+                state.validMoves = getValidMoves(state, state.selectedUnit);
             }
         }
         // Normal unit movement
         else {
             const validMove = state.validMoves.find(m => m.row === hex.row && m.col === hex.col);
-            if (validMove) {
+            const tauntTargets = getJestersTauntTargets(state, state.selectedUnit)
+                .filter(u => u.row === hex.row && u.col === hex.col);
+            
+            if (tauntTargets.length > 0) {
+                // Jesters clicked an adjacent enemy: Taunt it, or move there instead
+                const jesters = state.selectedUnit;
+                const options = validMove ? [...tauntTargets, jesters] : tauntTargets;
+                const chooseTaunt = (selected) => {
+                    commitMove(selected === jesters
+                        ? createMoveAction(jesters.id, hex.row, hex.col)
+                        : createTauntAction(jesters.id, selected.id));
+                    render();
+                };
+                
+                state.selectedUnit = null;
+                state.validMoves = [];
+                if (options.length > 1) {
+                    showUnitPickerModal(options, chooseTaunt, `Taunt an enemy, or pick ${getUnitDisplayName(state, jesters)} to move`);
+                } else {
+                    chooseTaunt(options[0]);
+                }
+            } else if (validMove) {
                 const movedUnit = state.selectedUnit;
-                moveUnit(movedUnit, hex.row, hex.col);
+                commitMove(state.pendingSecondMove === movedUnit.id
+                    ? createMountedSecondMoveAction(movedUnit.id, hex.row, hex.col)
+                    : createMoveAction(movedUnit.id, hex.row, hex.col));
                 
                 // If unit now has pending second move, re-select it
                 if (state.pendingSecondMove === movedUnit.id) {
                     state.selectedUnit = movedUnit;
-                    state.validMoves = getValidMoves(movedUnit);
+                    state.validMoves = getValidMoves(state, movedUnit);
                 } else {
                     state.selectedUnit = null;
                     state.validMoves = [];
@@ -787,12 +1197,11 @@ function handleClick(event) {
             } else {
                 // Clicked on invalid move - clear selection
                 // If there's a pending second move, skip it by clicking away
-                if (state.pendingSecondMove) {
-                    state.activatedUnits.add(state.pendingSecondMove);
-                    state.pendingSecondMove = null;
+                // (a Mounted unit passing through a full hex stays selected: it has to move on)
+                if (!state.pendingSecondMove || dispatch(createSkipSecondMoveAction())) {
+                    state.selectedUnit = null;
+                    state.validMoves = [];
                 }
-                state.selectedUnit = null;
-                state.validMoves = [];
             }
         }
     } else {
@@ -804,7 +1213,7 @@ function handleClick(event) {
             const pendingUnit = units.find(u => u.id === state.pendingSecondMove);
             if (pendingUnit) {
                 state.selectedUnit = pendingUnit;
-                state.validMoves = getValidMoves(state.selectedUnit);
+                state.validMoves = getValidMoves(state, state.selectedUnit);
             }
         } else {
             // Normal selection: if multiple units at hex, show unit picker
@@ -813,13 +1222,13 @@ function handleClick(event) {
                 // Multiple unactivated units - show unit picker modal
                 showUnitPickerModal(unactivated, (selectedUnit) => {
                     state.selectedUnit = selectedUnit;
-                    state.validMoves = getValidMoves(selectedUnit);
+                    state.validMoves = getValidMoves(state, selectedUnit);
                     render();
                 });
             } else if (unactivated.length === 1) {
                 // Single unactivated unit - select it directly
                 state.selectedUnit = unactivated[0];
-                state.validMoves = getValidMoves(state.selectedUnit);
+                state.validMoves = getValidMoves(state, state.selectedUnit);
             }
         }
     }
@@ -827,325 +1236,436 @@ function handleClick(event) {
     render();
 }
 
-// Move a unit
-function moveUnit(unit, newRow, newCol) {
-    const oldRow = unit.row;
-    const oldCol = unit.col;
+// Apply a movement action, then ask for the charge target if a Mounted unit charged two enemies
+// (or, with sticky engagements, for the engagement in the hex that was entered)
+function commitMove(action) {
+    dispatch(action);
+    promptPendingChoice();
+    updateUI();
+}
+
+// Undo/redo the current faction phase's moves
+// The engine rebuilds the state from the action history, so only UI selection needs resetting
+function undoMove() {
+    if (!canUndo(state)) return;
+    undo(state);
+    afterHistoryChange();
+}
+
+function redoMove() {
+    if (!canRedo(state)) return;
+    redo(state);
+    afterHistoryChange();
+}
+
+function afterHistoryChange() {
+    closeUnitPickerModal();
+    autosaveGame(state);
     
-    // Calculate distance moved
-    const distanceMoved = hexDistance(oldRow, oldCol, newRow, newCol);
+    // A Mounted unit waiting for its second move stays selected, as after a normal move
+    const pendingUnit = state.pendingSecondMove && getUnitById(state, state.pendingSecondMove);
+    state.selectedUnit = pendingUnit || null;
+    state.commanderTarget = null;
+    state.validMoves = pendingUnit ? getValidMoves(state, pendingUnit) : [];
     
-    // For Mounted units: track if this is the second move in this activation
-    const isMountedSecondMove = unit.type.id === UnitTypes.MOUNTED.id && unit.movedThisTurn;
+    promptPendingChoice();
     
-    // Add move animation
-    unit.moveAnimation = {
-        startRow: oldRow,
-        startCol: oldCol,
-        endRow: newRow,
-        endCol: newCol,
-        startTime: Date.now(),
-        duration: 400
+    updateUI();
+    render();
+}
+
+// Ask for whichever decision the game is waiting on, if any
+function promptPendingChoice() {
+    if (state.pendingCharge) {
+        promptChargeTarget();
+    } else if (state.pendingCounterCharge) {
+        promptCounterCharge();
+    } else if (getPendingEngagement(state)) {
+        promptEngagement();
+    }
+}
+
+// Let the player choose which enemy gets trampled by the pending charge
+function promptChargeTarget() {
+    const enemies = state.pendingCharge.targetIds.map(id => getUnitById(state, id));
+    showUnitPickerModal(enemies, (selectedEnemy) => {
+        dispatch(createChargeTargetAction(selectedEnemy.id));
+        promptPendingChoice();
+        updateUI();
+        render();
+    });
+}
+
+// Let the defender choose which of several Spears Counter Charges the pending charge
+function promptCounterCharge() {
+    const spears = state.pendingCounterCharge.spearsIds.map(id => getUnitById(state, id));
+    const mounted = getUnitById(state, state.pendingCounterCharge.unitId);
+    showUnitPickerModal(spears, (selectedSpears) => {
+        dispatch(createCounterChargeAction(selectedSpears.id));
+        promptPendingChoice();
+        updateUI();
+        render();
+    }, `Player ${spears[0].faction}: which Spears Counter Charges ${getUnitDisplayName(state, mounted)}?`);
+}
+
+// Ask the Second Faction which of the conflicting units resolves first, then
+// next, until one is left. Resolves with the chosen order of unit ids
+function promptEffectOrder(pending) {
+    const faction = getSecondFaction(state);
+    const remaining = pending.unitIds.map(id => getUnitById(state, id));
+    const order = [];
+    
+    return new Promise((resolve) => {
+        const pickNext = () => {
+            if (remaining.length === 1) {
+                order.push(remaining[0].id);
+                resolve(order);
+                return;
+            }
+            const options = remaining.map(unit => ({
+                unit,
+                symbol: unit.type.symbol,
+                name: getUnitDisplayName(state, unit),
+                detail: `Player ${unit.faction}`
+            }));
+            const title = order.length === 0
+                ? `Player ${faction}: which ${pending.ability} resolves first?`
+                : `Player ${faction}: which ${pending.ability} resolves next?`;
+            showChoiceModal(options, (option) => {
+                order.push(option.unit.id);
+                remaining.splice(remaining.indexOf(option.unit), 1);
+                pickNext();
+            }, title);
+        };
+        pickNext();
+    });
+}
+
+// One-and-two hexes: the single unit's player picks the enemy it is Engaged with,
+// then the free unit's player decides whether it joins the combat or uses its ability
+function promptEngagement() {
+    const engagement = getPendingEngagement(state);
+    const unit = getUnitById(state, engagement.unitId);
+    const unitName = getUnitDisplayName(state, unit);
+    const duringEngagementPhase = state.phase === GamePhase.ENGAGEMENT;
+    
+    const choose = (action) => {
+        dispatch(action);
+        // The last choice moves the game on to ability targeting or resolution
+        if (duringEngagementPhase && state.phase !== GamePhase.ENGAGEMENT) {
+            continueAfterFactionPhases();
+            return;
+        }
+        promptPendingChoice();
+        updateUI();
+        render();
     };
     
-    unit.row = newRow;
-    unit.col = newCol;
-    unit.movedThisTurn = true;
-    
-    // For Mounted units: handle first vs second move
-    if (unit.type.id === UnitTypes.MOUNTED.id && !isMountedSecondMove) {
-        // First move: set pending second move, don't mark as activated
-        state.pendingSecondMove = unit.id;
-    } else {
-        // Regular units or Mounted second move: mark as activated
-        state.activatedUnits.add(unit.id);
-        state.pendingSecondMove = null; // Clear pending if it was the second move
+    if (engagement.type === 'engage') {
+        const enemies = engagement.targetIds.map(id => getUnitById(state, id));
+        showUnitPickerModal(enemies, (enemy) => {
+            choose(createEngageAction(unit.id, enemy.id));
+        }, `Player ${engagement.faction}: ${unitName} engages...`);
+        return;
     }
     
-    // Check for engagement
-    const enemyFaction = unit.faction === 1 ? 2 : 1;
-    const enemiesAtHex = getFactionUnitsAt(state, newRow, newCol, enemyFaction);
-    if (enemiesAtHex.length > 0) {
-        const enemyUnits = enemiesAtHex.map(e => getUnitDisplayName(state, e)).join(' & ');
-        logMessage(state, `${getUnitDisplayName(state, unit)} engages with ${enemyUnits} at (${newRow}, ${newCol})!`);
+    const choices = [
+        { symbol: '⚔️', name: 'Join the combat', detail: 'Fights in the hex, no ability', value: 'combat' },
+        { symbol: '✨', name: 'Use its ability', detail: 'Stays out of the combat', value: 'ability' }
+    ];
+    showChoiceModal(choices, (choice) => {
+        choose(createFreeUnitChoiceAction(unit.id, choice.value));
+    }, `Player ${engagement.faction}: ${unitName} is free`);
+}
+
+// Resolution sub-phases: transition title and how long their animations take
+const RESOLUTION_STEPS = {
+    [GamePhase.RESOLUTION_COMBAT]: { title: '⚔️ Combat', duration: 1200 }, // Damage animations (1000ms) + buffer
+    [GamePhase.RESOLUTION_MELEE]: { title: '🗡️ Melee Abilities', duration: 1800 }, // Ability (800ms) + damage (1000ms)
+    [GamePhase.RESOLUTION_RANGED]: { title: '🏹 Ranged Abilities', duration: 1800 }, // Ability (800ms) + damage (1000ms)
+    [GamePhase.RESOLUTION_CASTLE]: { title: '🏰 Castle Damage', duration: 1000 } // Castle blink (800ms) + buffer
+};
+
+// Execute resolution phase with sequential animations
+// Picks up from whichever sub-phase the state is in, so a loaded game can resume mid-resolution.
+// Stops as soon as another game replaces the current state.
+async function executeResolutionSequence() {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const resolvingState = state;
+    const isCurrent = () => state === resolvingState;
+    
+    // Wait for initial phase transition overlay to disappear (1500ms)
+    await delay(1600);
+    
+    while (isCurrent() && RESOLUTION_STEPS[state.phase]) {
+        const step = RESOLUTION_STEPS[state.phase];
+        showPhaseTransition(step.title);
+        await delay(1600); // Wait for phase transition
+        if (!isCurrent()) return;
         
-        // Apply Mounted Charge bonus if this is the second move (charge)
-        if (isMountedSecondMove) {
-            // Check for Spears Counter Charge: look for non-engaged enemy Spears in adjacent hexes
-            const adjacentHexes = getAdjacentHexes(newRow, newCol);
-            const counterChargingSpears = [];
-            for (const adjHex of adjacentHexes) {
-                const unitsAtHex = getFactionUnitsAt(state, adjHex.row, adjHex.col, enemyFaction);
-                for (const u of unitsAtHex) {
-                    if (u.type.id === UnitTypes.SPEARS.id && u.damage < u.maxHp && !isEngaged(state, u)) {
-                        counterChargingSpears.push(u);
-                    }
-                }
-            }
-            
-            if (counterChargingSpears.length > 0) {
-                // Counter Charge activated - cancel charge damage and damage the Mounted unit
-                const spear = counterChargingSpears[0]; // Use first Spears unit found
-                applySpearCounterCharge(state, spear, unit);
-                logMessage(state, `${getUnitDisplayName(state, unit)}'s charge is countered!`);
-            } else {
-                // No counter charge - apply normal charge bonus
-                if (enemiesAtHex.length > 1) {
-                    // Multiple enemies - let player choose which one gets trampled
-                    showUnitPickerModal(enemiesAtHex, (selectedEnemy) => {
-                        applyMountedChargeBonus(state, unit, selectedEnemy, 2);
-                        logMessage(state, `${getUnitDisplayName(state, unit)} tramples ${getUnitDisplayName(state, selectedEnemy)}!`);
-                        updateUI();
-                        render();
-                    });
-                    // Don't log move message yet - will be shown after target selection
-                    return; // Exit early, updateUI will be called in callback
-                } else {
-                    // Single enemy - apply charge bonus directly
-                    applyMountedChargeBonus(state, unit, enemiesAtHex[0], 2);
-                }
-            }
+        // Attacking players split damage wherever they face two enemies
+        while (state.pendingAllocations.length > 0) {
+            const pending = state.pendingAllocations[0];
+            const enemies = pending.targetIds.map(id => getUnitById(state, id));
+            const allocation = await new Promise((resolve) => {
+                showDamageAllocationModal(enemies, pending.totalDamage, pending.attackingFaction, resolve);
+            });
+            if (!isCurrent()) return;
+            dispatch(createCombatAllocationAction(pending.hex, pending.attackingFaction, Object.fromEntries(allocation)));
         }
+        
+        // The Second Faction orders effects that cannot resolve simultaneously
+        while (state.pendingOrderings.length > 0) {
+            const unitIds = await promptEffectOrder(state.pendingOrderings[0]);
+            if (!isCurrent()) return;
+            dispatch(createOrderEffectsAction(unitIds));
+        }
+        
+        // The castle step also checks the win condition and starts the next round
+        dispatch(createResolveAction());
+        updateUI();
+        render();
+        await delay(step.duration);
+    }
+    
+    if (!isCurrent()) return;
+    
+    if (state.phase === GamePhase.GAME_OVER) {
+        if (match) {
+            recordMatchGame(match, state);
+            autosaveMatch(match);
+        }
+        showPhaseTransition('Game Over!');
+        setTimeout(() => {
+            if (isCurrent()) showGameOverModal();
+        }, 1600);
+    } else {
+        showPhaseTransition(`Round ${state.round} - Player ${getFirstFaction(state)} Turn`);
     }
     
-    logMessage(state, `${getUnitDisplayName(state, unit)} moves to [${newRow}, ${newCol}]`);
     updateUI();
+    render();
 }
 
-// Get units that have abilities requiring target selection
-function getUnitsNeedingAbilityTargets(state) {
-    const units = [];
+// End current faction phase
+function endPhase() {
+    // While choosing ability targets the button skips the current unit's ability
+    if (state.phase === GamePhase.ABILITY_TARGETING) {
+        skipAbilityTarget();
+        return;
+    }
+    if (state.phase !== GamePhase.FACTION_1 && state.phase !== GamePhase.FACTION_2) return;
+    
+    if (!dispatch(createEndPhaseAction())) {
+        updateUI();
+        return;
+    }
+    
+    if (state.phase === GamePhase.FACTION_2) {
+        showPhaseTransition(`Player ${getSecondFaction(state)} Turn`);
+        updateUI();
+        render();
+        return;
+    }
+    
+    continueAfterFactionPhases();
+}
+
+// After the Second Faction's phase: one-and-two engagement choices, then ability targeting
+// or straight to resolution
+function continueAfterFactionPhases() {
+    if (state.phase === GamePhase.ENGAGEMENT) {
+        showPhaseTransition('One and Two: Choose Engagements');
+        updateUI();
+        render();
+        promptEngagement();
+        return;
+    }
     
-    for (const unit of state.units) {
-        if (unit.damage >= unit.maxHp) continue; // Dead units
-        
-        // Check for abilities that need targeting
-        const unitIsEngaged = isEngaged(state, unit);
-        
-        // Pierce (melee ability) - needs target if not engaged and has adjacent enemies
-        if (unit.type.name === 'Spears' && !unitIsEngaged) {
-            const targets = getSpearsPierceTargets(state, unit);
-            if (targets.length > 0) {
-                units.push(unit);
-                continue;
-            }
+    if (state.phase === GamePhase.ABILITY_TARGETING) {
+        if (settings.autoTargetAbilities) {
+            autoTargetAbilities();
+            return;
         }
         
-        // Volley (ranged ability) - needs target if not engaged and has enemies in range
-        if (unit.type.name === 'Archers' && !unitIsEngaged) {
-            const targets = getArchersVolleyTargets(state, unit);
-            if (targets.length > 0) {
-                units.push(unit);
-                continue;
-            }
-        }
+        // Name the selecting player when only one of them has abilities
+        const unitsToTarget = state.abilityTargeting.unitsToTarget;
+        const p1HasAbilities = unitsToTarget.some(u => u.faction === 1);
+        const p2HasAbilities = unitsToTarget.some(u => u.faction === 2);
         
-        // Mortar (ranged ability) - needs target hex if not moved and enemies in range
-        if (unit.type.name === 'Cannon' && !unit.movedThisTurn && !unitIsEngaged) {
-            const targets = getCannonMortarTargets(state, unit);
-            if (targets.length > 0) {
-                units.push(unit);
-                continue;
-            }
+        let transitionMessage = 'Select Ability Targets';
+        if (p1HasAbilities !== p2HasAbilities) {
+            transitionMessage = `Player ${state.abilityTargeting.currentPlayer}: Select Ability Targets`;
         }
+        showPhaseTransition(transitionMessage);
+        updateUI();
+        // Render after phase transition completes to show first unit and targets
+        setTimeout(() => {
+            render();
+        }, 1600);
+        return;
+    } else {
+        // No abilities need targeting, go straight to resolution
+        showPhaseTransition('Resolution Phase');
+        executeResolutionSequence();
     }
     
-    return units;
+    updateUI();
+    render();
 }
 
-// Execute resolution phase with sequential animations
-async function executeResolutionSequence(state) {
-    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-    
-    // Clear combat tracking from previous resolution phase
-    state.unitsInCombatThisTurn.clear();
-    
-    // Clear ability targeting state now that resolution is starting
-    if (state.abilityTargeting) {
-        state.abilityTargeting.active = false;
+// Game Over: the result and each army's unit power left
+function showGameOverModal() {
+    const { result } = state;
+    document.getElementById('game-over-title').textContent = result.winner
+        ? `🏆 Player ${result.winner} wins!`
+        : '🤝 Draw';
+    document.getElementById('game-over-reason').textContent = result.reason;
+    
+    const powerDiv = document.getElementById('game-over-power');
+    powerDiv.innerHTML = '';
+    // Games finished before unit power was scored have no breakdown
+    for (const faction of result.power ? [1, 2] : []) {
+        const { total, lost, units } = result.power[faction];
+        const column = document.createElement('div');
+        column.className = 'game-over-faction';
+        const playerColor = faction === 1 ? 'var(--player1-color)' : 'var(--player2-color)';
+        const rows = units.map(unit => `
+            <div class="game-over-unit ${unit.destroyed ? 'destroyed' : ''}">
+                <span>${escapeHtml(unit.name)}</span>
+                <span>${unit.destroyed ? 'destroyed' : `❤️ ${unit.hp}/${unit.maxHp} × ${unit.typePower}`} = ${formatPower(unit.power)}</span>
+            </div>
+        `).join('');
+        column.innerHTML = `
+            <h3 style="color: ${playerColor};">Player ${faction}</h3>
+            ${rows}
+            <div class="game-over-total"><span>Unit power left</span><span>${formatPower(total)}</span></div>
+            <div class="game-over-unit"><span>Lost</span><span>${formatPower(lost)}</span></div>
+        `;
+        powerDiv.appendChild(column);
     }
     
-    // Wait for initial phase transition overlay to disappear (1500ms)
-    await delay(1600);
-    
-    // 1. Combat - wait for damage animations (1000ms each)
-    showPhaseTransition('⚔️ Combat');
-    await delay(1600); // Wait for phase transition
-    
-    // Use async combat with damage allocation modal
-    await resolveCombatAsync(state, (enemies, totalDamage, attackingFaction) => {
-        return new Promise((resolve) => {
-            showDamageAllocationModal(enemies, totalDamage, attackingFaction, (allocation) => {
-                resolve(allocation);
-            });
-        });
-    });
-    
-    updateUI();
-    render();
-    await delay(1200); // Wait for combat animations + buffer
-    
-    // 2. Melee Abilities - wait for ability + damage animations
-    showPhaseTransition('🗡️ Melee Abilities');
-    await delay(1600); // Wait for phase transition
-    resolveMeleeAbilities(state);
-    updateUI();
-    render();
-    await delay(1800); // Wait for ability (800ms) + damage (1000ms)
-    
-    // 3. Ranged Abilities - wait for ability + damage animations
-    showPhaseTransition('🏹 Ranged Abilities');
-    await delay(1600); // Wait for phase transition
-    resolveRangedAbilities(state);
-    updateUI();
-    render();
-    await delay(1800); // Wait for ability (800ms) + damage (1000ms)
+    const { roundLimit, powerMargin } = state.rules;
+    document.getElementById('game-over-note').textContent = roundLimit
+        ? `A unit's power is its value scaled by the HP it has left. At the round limit (${roundLimit}) with even castle damage, a lead of ${powerMargin} or more wins; anything closer is a draw.`
+        : 'A unit\'s power is its value scaled by the HP it has left.';
     
-    // 4. Castle damage - wait for blink animation
-    showPhaseTransition('🏰 Castle Damage');
-    await delay(1600); // Wait for phase transition
-    calculateCastleDamage(state);
-    updateUI();
-    render();
-    await delay(1000); // Wait for castle blink (800ms) + buffer
+    document.getElementById('game-over-match').textContent = match ? getMatchStatus() : '';
+    document.getElementById('btn-game-over-next').classList.toggle('hidden', !match || isMatchOver(match));
+    document.getElementById('btn-game-over-summary').classList.toggle('hidden', !match);
     
-    // After all animations, check win condition
-    const winResult = checkWinCondition(state);
-    if (winResult) {
-        state.phase = GamePhase.GAME_OVER;
-        showPhaseTransition('Game Over!');
-        logMessage(state, `Game Over! ${winResult.reason}`);
+    document.getElementById('game-over-modal').classList.remove('hidden');
+}
+
+function closeGameOverModal() {
+    document.getElementById('game-over-modal').classList.add('hidden');
+}
+
+// Match play
+// The match in progress, if any (see match.js). Each of its Games is an
+// ordinary game in `state`; finished Games are recorded when they end.
+let match = null;
+
+// e.g. "Best of 3 · Player 1 leads 1-0" or "Best of 3 · Player 2 wins the match 2-1"
+function getMatchStatus() {
+    const score = getMatchScore(match);
+    const winner = getMatchWinner(match);
+    let status;
+    if (winner) {
+        status = `Player ${winner} wins the match`;
+    } else if (isMatchOver(match)) {
+        status = 'The match is drawn';
+    } else if (score[1] !== score[2]) {
+        status = `Player ${score[1] > score[2] ? 1 : 2} leads`;
     } else {
-        // Start next round
-        showPhaseTransition(`Round ${state.round + 1} - Player 1 Turn`);
-        state.phase = GamePhase.FACTION_1;
-        state.activatedUnits.clear();
-        state.round++;
-        // Reset moved flags for new round
-        for (const unit of state.units) {
-            unit.movedThisTurn = false;
-            unit.lastTarget = null;
-        }
-        delete state.pendingSecondMove;
-        logMessage(state, 'Player 1 faction phase');
+        status = 'Level';
     }
-    
-    updateUI();
-    render();
+    return `${formatMatchFormat(match.format)} · ${status} ${score[1]}-${score[2]}`;
 }
 
-// End current phase
-function endPhase() {
-    // Clear any pending second moves when phase ends
-    state.pendingSecondMove = null;
-    
-    if (state.phase === GamePhase.FACTION_1) {
-        showPhaseTransition('Player 2 Turn');
-        state.phase = GamePhase.FACTION_2;
-        state.activatedUnits.clear();
-        logMessage(state, 'Player 2 faction phase');
-    } else if (state.phase === GamePhase.FACTION_2) {
-        // Check if any units have abilities that need targeting
-        const unitsNeedingTargeting = getUnitsNeedingAbilityTargets(state);
-        
-        if (unitsNeedingTargeting.length > 0) {
-            // Check which players have abilities
-            const p2HasAbilities = unitsNeedingTargeting.some(u => u.faction === 2);
-            const p1HasAbilities = unitsNeedingTargeting.some(u => u.faction === 1);
-            
-            // Determine starting player and message
-            let startingPlayer = 2; // Default P2 first
-            let transitionMessage = 'Select Ability Targets';
-            
-            if (!p2HasAbilities && p1HasAbilities) {
-                // Only P1 has abilities, start with P1
-                startingPlayer = 1;
-                transitionMessage = 'Player 1: Select Ability Targets';
-            } else if (p2HasAbilities && !p1HasAbilities) {
-                // Only P2 has abilities
-                transitionMessage = 'Player 2: Select Ability Targets';
-            }
-            
-            // Transition to ability targeting phase
-            showPhaseTransition(transitionMessage);
-            state.phase = GamePhase.ABILITY_TARGETING;
-            state.abilityTargeting = {
-                active: true,
-                currentPlayer: startingPlayer,
-                selections: new Map(),
-                unitsToTarget: unitsNeedingTargeting
-            };
-            updateUI();
-            // Render after phase transition completes to show first unit and targets
-            setTimeout(() => {
-                render();
-            }, 1600);
-        } else {
-            // No abilities need targeting, go straight to resolution
-            showPhaseTransition('Resolution Phase');
-            state.phase = GamePhase.RESOLUTION_COMBAT;
-            executeResolutionSequence(state);
-        }
-        return;
-    } else if (state.phase === GamePhase.ABILITY_TARGETING) {
-        // Player confirmed their current unit's selection
-        const currentPlayer = state.abilityTargeting.currentPlayer;
-        
-        // Check if current player has more units needing targets
-        const currentPlayerUnitsNeedingTargets = state.abilityTargeting.unitsToTarget.filter(u => 
-            u.faction === currentPlayer && 
-            !state.abilityTargeting.selections.has(u.id)
-        );
-        
-        if (currentPlayerUnitsNeedingTargets.length > 0) {
-            // Current player has more units to target - stay with this player
-            logMessage(state, `Next unit for Player ${currentPlayer}...`);
-            // Force immediate UI update for next unit
-            requestAnimationFrame(() => {
-                updateUI();
-                render();
-            });
-        } else if (currentPlayer === 2) {
-            // P2 done, check if P1 has units needing targeting
-            const p1UnitsNeedingTargeting = state.abilityTargeting.unitsToTarget.filter(u => 
-                u.faction === 1 && 
-                !state.abilityTargeting.selections.has(u.id)
-            );
-            
-            if (p1UnitsNeedingTargeting.length > 0) {
-                // Switch to P1
-                state.abilityTargeting.currentPlayer = 1;
-                showPhaseTransition('Player 1: Select Ability Targets');
-                logMessage(state, 'Player 1 selecting ability targets...');
-                // Force immediate UI update when switching players
-                requestAnimationFrame(() => {
-                    updateUI();
-                    render();
-                });
-            } else {
-                // P1 has no abilities, show message then go to resolution
-                showPhaseTransition('🎯 Player 1: No Abilities Requiring Targets');
-                setTimeout(() => {
-                    showPhaseTransition('Resolution Phase');
-                    state.phase = GamePhase.RESOLUTION_COMBAT;
-                    executeResolutionSequence(state);
-                }, 1600);
-            }
-        } else {
-            // P1 done, start resolution
-            showPhaseTransition('Resolution Phase');
-            state.phase = GamePhase.RESOLUTION_COMBAT;
-            executeResolutionSequence(state);
+// Set up the match's next Game the way the players chose to between Games
+function startNextMatchGame() {
+    if (!match || isMatchOver(match)) return;
+    
+    endReplayMode();
+    closeGameOverModal();
+    closeMatchSummary();
+    
+    const previousGame = match.games[match.games.length - 1];
+    const firstFaction = getMatchFirstFaction(match);
+    if (match.betweenGames === BetweenGames.KEEP) {
+        state = newGame({ armies: previousGame.initialArmies, rules: match.rules, firstFaction, roster: match.roster });
+        if (match.mode !== 'demo') {
+            state.setupMode = match.mode;
         }
-        return;
+        autosaveGame(state);
+    } else if (match.betweenGames === BetweenGames.PLACE) {
+        state = createGameState(undefined, match.rules);
+        state.firstFaction = firstFaction;
+        state.roster = { ...DEFAULT_ROSTER, ...match.roster };
+        state.phase = GamePhase.SETUP;
+        state.setupMode = match.mode;
+        state.draftSelected = {
+            1: previousGame.initialArmies[1].map(({ type }) => UnitTypes[type]),
+            2: previousGame.initialArmies[2].map(({ type }) => UnitTypes[type])
+        };
+        startPlacement();
+        logMessage(state, 'Player 1 - Click units to reposition them on rows 3-5. Press Confirm when ready.');
+        autosaveGame(state);
+    } else {
+        setupGame(match.mode, { rules: match.rules, firstFaction, roster: match.roster });
     }
     
-    state.selectedUnit = null;
-    state.validMoves = [];
+    // Announce the role the new game was actually given, as the match records it from the game
+    const gameNumber = match.games.length + 1;
+    logMessage(state, `🏆 ${getMatchStatus()} - Game ${gameNumber}, Player ${getFirstFaction(state)} is First Faction`);
+    showPhaseTransition(`Game ${gameNumber}`);
     updateUI();
     render();
 }
 
+// Score and per-game results of the match; each finished Game can be replayed
+function showMatchSummary() {
+    const winner = getMatchWinner(match);
+    document.getElementById('match-summary-title').textContent = winner
+        ? `🏆 Player ${winner} wins the match!`
+        : isMatchOver(match) ? '🤝 Match drawn' : '🏆 Match in progress';
+    document.getElementById('match-summary-status').textContent = getMatchStatus();
+    
+    const gamesBody = document.getElementById('match-summary-games');
+    gamesBody.innerHTML = '';
+    match.games.forEach((game, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${index + 1}</td>
+            <td>Player ${game.firstFaction}</td>
+            <td>${game.winner ? `Player ${game.winner}` : 'Draw'}</td>
+            <td>${game.reason}</td>
+            <td>${game.rounds}</td>
+            <td>${game.castleDamage[1]}-${game.castleDamage[2]}</td>
+            <td><button title="Watch replay">🎬</button></td>
+        `;
+        row.querySelector('button').addEventListener('click', () => {
+            closeMatchSummary();
+            startReplay(importNotation(game.notation));
+        });
+        gamesBody.appendChild(row);
+    });
+    
+    document.getElementById('btn-match-summary-next').classList.toggle('hidden', isMatchOver(match));
+    document.getElementById('match-summary-modal').classList.remove('hidden');
+}
+
+function closeMatchSummary() {
+    document.getElementById('match-summary-modal').classList.add('hidden');
+}
+
+// Games loaded from elsewhere are not part of the match
+function endMatch() {
+    match = null;
+    autosaveMatch(null);
+}
+
 // Show phase transition animation
 // Track phase transition timeout to prevent overlaps
 let phaseTransitionTimeout = null;
@@ -1169,8 +1689,31 @@ function showPhaseTransition(text) {
     }, 1500);
 }
 
+// Status bar entry for a faction phase: the moving player and their role
+function getFactionPhaseConfig(phase, role) {
+    const faction = getPhaseFaction(state, phase);
+    return {
+        name: `Player ${faction} Move <span style="opacity: 0.7; font-weight: normal;">(${role})</span>`,
+        icon: '⚔️',
+        color: faction === 1 ? 'var(--player1-color)' : 'var(--player2-color)'
+    };
+}
+
 // Update UI elements
 function updateUI() {
+    // Seed, so the same setup can be reproduced with #<mode>&seed=<seed>
+    const seedDisplay = document.getElementById('seed-display');
+    seedDisplay.textContent = `🌱 Seed ${state.seed}`;
+    seedDisplay.title = `Open the game with #${getGameMode(state)}&seed=${state.seed} in the URL to reproduce this setup`;
+    
+    // Match score, while a match is being played
+    const matchDisplay = document.getElementById('match-display');
+    matchDisplay.classList.toggle('hidden', !match || Boolean(replay));
+    if (match) {
+        const gameNumber = match.games.length + (state.phase === GamePhase.GAME_OVER ? 0 : 1);
+        matchDisplay.textContent = `🏆 Game ${gameNumber} · ${getMatchStatus()}`;
+    }
+    
     // Placement phase display
     if (state.placementPhase) {
         const placedCount = state.placementPhase.placedUnits.length;
@@ -1188,6 +1731,7 @@ function updateUI() {
         const btnEndPhase = document.getElementById('btn-end-phase');
         placementControls.classList.remove('hidden');
         btnEndPhase.classList.add('hidden');
+        document.getElementById('undo-controls').classList.add('hidden');
         
         // Render log during placement phase
         renderMessageLog();
@@ -1201,6 +1745,19 @@ function updateUI() {
     placementControls.classList.add('hidden');
     btnEndPhase.classList.remove('hidden');
     
+    // Undo/redo only apply to the current faction phase
+    document.getElementById('undo-controls').classList.remove('hidden');
+    document.getElementById('btn-undo').disabled = !canUndo(state);
+    document.getElementById('btn-redo').disabled = !canRedo(state);
+    
+    // Replay controls take over from the player's controls
+    document.getElementById('btn-replay').disabled = Boolean(replay);
+    if (replay) {
+        updateReplayControls();
+        document.getElementById('undo-controls').classList.add('hidden');
+        btnEndPhase.classList.add('hidden');
+    }
+    
     // Disable button during automated resolution phases
     const automatedPhases = [
         GamePhase.RESOLUTION_COMBAT,
@@ -1213,6 +1770,11 @@ function updateUI() {
         btnEndPhase.innerHTML = 'Resolving...';
         btnEndPhase.disabled = true;
     }
+    // Engagement choices are made in their own prompt
+    else if (state.phase === GamePhase.ENGAGEMENT) {
+        btnEndPhase.innerHTML = 'Choose Engagements';
+        btnEndPhase.disabled = true;
+    }
     // Update button text for ability targeting phase
     else if (state.phase === GamePhase.ABILITY_TARGETING && state.abilityTargeting) {
         const currentPlayer = state.abilityTargeting.currentPlayer;
@@ -1222,16 +1784,9 @@ function updateUI() {
         );
         
         if (playerUnitsNeedingTargets.length > 0) {
-            const currentUnit = playerUnitsNeedingTargets[0];
-            const hasSelection = state.abilityTargeting.selections.has(currentUnit.id);
-            
-            if (hasSelection) {
-                btnEndPhase.innerHTML = 'Confirm Selection <span style="opacity: 0.7; font-size: 0.85em;">(Space/Enter)</span>';
-                btnEndPhase.disabled = false;
-            } else {
-                btnEndPhase.innerHTML = 'Select a Target';
-                btnEndPhase.disabled = true;
-            }
+            // Select a target on the board, or hold the ability
+            btnEndPhase.innerHTML = '✋ Skip Ability <span style="opacity: 0.7; font-size: 0.85em;">(Space/Enter)</span>';
+            btnEndPhase.disabled = false;
         } else {
             btnEndPhase.innerHTML = 'Continue <span style="opacity: 0.7; font-size: 0.85em;">(Space/Enter)</span>';
             btnEndPhase.disabled = false;
@@ -1247,10 +1802,14 @@ function updateUI() {
     // Phase configurations with icons and colors
     const phaseConfigs = {
         [GamePhase.SETUP]: { name: 'Setup', icon: '⚙️', color: '#94a3b8' },
-        [GamePhase.FACTION_1]: { name: 'Player 1 Move', icon: '⚔️', color: 'var(--player1-color)' },
-        [GamePhase.FACTION_2]: { name: 'Player 2 Move', icon: '⚔️', color: 'var(--player2-color)' },
+        [GamePhase.FACTION_1]: getFactionPhaseConfig(GamePhase.FACTION_1, 'First Faction'),
+        [GamePhase.FACTION_2]: getFactionPhaseConfig(GamePhase.FACTION_2, 'Second Faction'),
+        [GamePhase.ENGAGEMENT]: { name: 'Engagements', icon: '🤺', color: '#c084fc' },
         [GamePhase.ABILITY_TARGETING]: { name: 'Select Targets', icon: '🎯', color: '#00ffff' },
         [GamePhase.RESOLUTION_COMBAT]: { name: 'Resolution', icon: '⚡', color: '#fbbf24' },
+        [GamePhase.RESOLUTION_MELEE]: { name: 'Resolution', icon: '⚡', color: '#fbbf24' },
+        [GamePhase.RESOLUTION_RANGED]: { name: 'Resolution', icon: '⚡', color: '#fbbf24' },
+        [GamePhase.RESOLUTION_CASTLE]: { name: 'Resolution', icon: '⚡', color: '#fbbf24' },
         [GamePhase.GAME_OVER]: { name: 'Game Over', icon: '🏁', color: '#ef4444' }
     };
     
@@ -1275,7 +1834,7 @@ function updateUI() {
                 </span>
                 <span style="margin: 0 0.5rem; opacity: 0.5;">•</span>
                 <span style="color: #00ffff; font-weight: bold;">
-                    🎯 ${getUnitDisplayName(state, unit)} - Select Target
+                    🎯 ${getUnitDisplayName(state, unit)} - Select Target or Skip
                 </span>
             `;
         }
@@ -1317,15 +1876,59 @@ function renderMessageLog() {
     logDiv.innerHTML = '';
     
     // Show last 20 messages in reverse chronological order
-    const recentMessages = state.log.slice(-20).reverse();
-    for (const msg of recentMessages) {
+    const recentEvents = state.events.slice(-20).reverse();
+    for (const event of recentEvents) {
         const msgDiv = document.createElement('div');
         msgDiv.className = 'log-entry';
-        msgDiv.innerHTML = enhanceLogMessage(msg, state);
+        msgDiv.innerHTML = renderEventHtml(event);
         logDiv.appendChild(msgDiv);
     }
 }
 
+// Render an event as log HTML
+// Structured events know which units they refer to, so names are colored by id;
+// free-text messages fall back to matching unit names in the text.
+// Events can come from a shared save file, so all their text is escaped first.
+function renderEventHtml(event) {
+    if (event.type === EventType.MESSAGE) {
+        return enhanceLogMessage(event.text, state);
+    }
+    
+    // Format with placeholders for the names, escape, then put the decorated names in
+    const allUnits = [...state.units, ...state.destroyedUnits[1], ...state.destroyedUnits[2]];
+    const names = [];
+    const text = formatEvent(event, (name, unitId) => {
+        names.push({ name, unitId });
+        return `\u0000${names.length - 1}\u0000`;
+    });
+    const html = escapeHtml(text).replace(/\u0000(\d+)\u0000/g, (match, index) => {
+        const { name, unitId } = names[index];
+        const unit = allUnits.find(u => u.id === unitId);
+        return `<span class="unit-name"${unitColorStyle(unit && unit.color)}>${escapeHtml(name)}</span>`;
+    });
+    return colorPlayerMentions(html);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Unit colors come from the save too: anything but a plain color is left out
+function unitColorStyle(color) {
+    return isUnitColor(color) ? ` style="color: ${color}; font-weight: bold;"` : '';
+}
+
+function colorPlayerMentions(html) {
+    return html
+        .replace(/Player 1/g, '<span class="player-1-text">Player 1</span>')
+        .replace(/Player 2/g, '<span class="player-2-text">Player 2</span>');
+}
+
 // Enhance log message with emojis and colors
 function enhanceLogMessage(message, state) {
     // Build a map of unit references to their colors
@@ -1344,31 +1947,30 @@ function enhanceLogMessage(message, state) {
                 unitColorMap.set(baseName, unit.color);
             }
         }
+        // Destroyed units keep their per-game number, so earlier log lines stay colored
+        for (const unit of [...state.destroyedUnits[1], ...state.destroyedUnits[2]]) {
+            const numberedName = `${unit.type.name} #${unit.number}`;
+            if (!unitColorMap.has(numberedName)) {
+                unitColorMap.set(numberedName, unit.color);
+            }
+        }
     }
     
     // ONLY color existing unit names - don't add symbols
     // Symbols are already in the message from getUnitDisplayName()
-    let enhanced = message;
+    let enhanced = escapeHtml(message);
     for (const unitType of Object.values(UnitTypes)) {
         // Match unit name with optional number: "Mounted" or "Mounted #1"
         // Capture the whole unit reference (name + optional number)
         const pattern = new RegExp(`\\b(${unitType.name}(?:\\s+#\\d+)?)\\b`, 'g');
         
         enhanced = enhanced.replace(pattern, (match, nameWithNumber) => {
-            const color = unitColorMap.get(nameWithNumber);
-            if (color) {
-                return `<span class="unit-name" style="color: ${color}; font-weight: bold;">${nameWithNumber}</span>`;
-            } else {
-                return `<span class="unit-name">${nameWithNumber}</span>`;
-            }
+            return `<span class="unit-name"${unitColorStyle(unitColorMap.get(nameWithNumber))}>${nameWithNumber}</span>`;
         });
     }
     
     // Color player mentions
-    enhanced = enhanced.replace(/Player 1/g, '<span class="player-1-text">Player 1</span>');
-    enhanced = enhanced.replace(/Player 2/g, '<span class="player-2-text">Player 2</span>');
-    
-    return enhanced;
+    return colorPlayerMentions(enhanced);
 }
 
 // Update destroyed units display
@@ -1395,6 +1997,7 @@ function updateUnitList(faction, container) {
     for (const unit of factionUnits) {
         const hp = unit.maxHp - unit.damage;
         const isDead = hp <= 0;
+        const unitColor = isUnitColor(unit.color) ? unit.color : (faction === 1 ? '#4facfe' : '#00f260');
         
         const unitItem = document.createElement('div');
         unitItem.className = 'unit-item';
@@ -1403,7 +2006,7 @@ function updateUnitList(faction, container) {
             margin: 4px 0;
             background: rgba(255, 255, 255, 0.08);
             border-radius: 4px;
-            border-left: 3px solid ${unit.color || (faction === 1 ? '#4facfe' : '#00f260')};
+            border-left: 3px solid ${unitColor};
             display: flex;
             align-items: center;
             gap: 8px;
@@ -1427,9 +2030,8 @@ function updateUnitList(faction, container) {
             }
         }
         
-        const displayName = getUnitDisplayName(state, unit);
+        const displayName = escapeHtml(getUnitDisplayName(state, unit));
         const statusText = isDead ? '💀 Dead' : (isActivated ? '✓ Activated' : '');
-        const unitColor = unit.color || (faction === 1 ? '#4facfe' : '#00f260');
         
         unitItem.innerHTML = `
             <div style="font-size: 1.8rem; line-height: 1; opacity: ${opacity}; ${isDead ? 'filter: grayscale(1);' : ''}">
@@ -1489,9 +2091,6 @@ function showAbilityTargets(unit) {
     } else if (unit.type.id === UnitTypes.SPEARS.id) {
         targets = getSpearsPierceTargets(state, unit);
         abilityType = 'spearsPierce';
-    } else if (unit.type.id === UnitTypes.JESTERS.id) {
-        targets = getJestersTauntTargets(state, unit);
-        abilityType = 'jestersTaunt';
     }
     
     if (targets.length > 0) {
@@ -1522,6 +2121,13 @@ canvas.addEventListener('click', handleClick);
 
 // Add keyboard support
 document.addEventListener('keydown', (event) => {
+    if (isTypingInField(event)) return;
+    
+    if (replay) {
+        handleReplayKey(event);
+        return;
+    }
+    
     // C: Confirm placement (during placement phase)
     if (event.code === 'KeyC') {
         if (state.placementPhase) {
@@ -1530,23 +2136,35 @@ document.addEventListener('keydown', (event) => {
         }
     }
     
-    // Space or Enter: End Phase
+    // Space or Enter: End Phase (Skip Ability while choosing ability targets)
     if (event.code === 'Space' || event.code === 'Enter') {
-        if (state.phase === GamePhase.FACTION_1 || state.phase === GamePhase.FACTION_2) {
+        if (state.phase === GamePhase.FACTION_1 || state.phase === GamePhase.FACTION_2 || state.phase === GamePhase.ABILITY_TARGETING) {
             event.preventDefault();
             endPhase();
         }
     }
     
+    // Ctrl+Z: Undo, Ctrl+Y / Ctrl+Shift+Z: Redo
+    if ((event.ctrlKey || event.metaKey) && event.code === 'KeyZ') {
+        event.preventDefault();
+        if (event.shiftKey) {
+            redoMove();
+        } else {
+            undoMove();
+        }
+    }
+    if ((event.ctrlKey || event.metaKey) && event.code === 'KeyY') {
+        event.preventDefault();
+        redoMove();
+    }
+    
     // Escape: Deselect unit and skip pending second move
     if (event.code === 'Escape') {
         if (state.selectedUnit) {
-            state.selectedUnit = null;
-            state.validMoves = [];
             // If escaping from a pending second move, mark unit as done
-            if (state.pendingSecondMove) {
-                state.activatedUnits.add(state.pendingSecondMove);
-                state.pendingSecondMove = null;
+            if (!state.pendingSecondMove || dispatch(createSkipSecondMoveAction())) {
+                state.selectedUnit = null;
+                state.validMoves = [];
             }
             updateUI();
             render();
@@ -1555,7 +2173,11 @@ document.addEventListener('keydown', (event) => {
     
 });
 document.getElementById('btn-end-phase').addEventListener('click', endPhase);
+document.getElementById('btn-undo').addEventListener('click', undoMove);
+document.getElementById('btn-redo').addEventListener('click', redoMove);
 document.getElementById('btn-confirm-placement').addEventListener('click', confirmPlacement);
+document.getElementById('btn-pass-device-ready').addEventListener('click', closePassDeviceScreen);
+document.getElementById('btn-roll-keep').addEventListener('click', keepRoll);
 document.getElementById('btn-rules').addEventListener('click', openRulesModal);
 document.getElementById('btn-close-rules').addEventListener('click', closeRulesModal);
 
@@ -1569,6 +2191,69 @@ if (btnCloseLog) {
     btnCloseLog.addEventListener('click', closeFullLogModal);
 }
 
+// Notation export/import buttons
+document.getElementById('btn-export-notation').addEventListener('click', exportGameNotation);
+document.getElementById('btn-import-notation').addEventListener('click', () => showNotationPanel(''));
+document.getElementById('btn-copy-notation').addEventListener('click', copyNotation);
+document.getElementById('btn-load-notation').addEventListener('click', loadGameNotation);
+document.getElementById('btn-replay-notation').addEventListener('click', replayGameNotation);
+
+document.getElementById('btn-auto-target').addEventListener('click', toggleAutoTarget);
+updateAutoTargetButton();
+
+// Replay controls
+document.getElementById('btn-replay').addEventListener('click', () => {
+    try {
+        startReplay(state);
+    } catch (error) {
+        console.error('Error starting replay:', error);
+        logMessage(state, `Could not replay this game: ${error.message}`);
+        updateUI();
+    }
+});
+document.getElementById('btn-replay-start').addEventListener('click', () => seekReplayTo(0));
+document.getElementById('btn-replay-back').addEventListener('click', () => seekReplayTo(replay.position - 1));
+document.getElementById('btn-replay-play').addEventListener('click', toggleReplayPlayback);
+document.getElementById('btn-replay-forward').addEventListener('click', () => seekReplayTo(replay.position + 1));
+document.getElementById('btn-replay-end').addEventListener('click', () => seekReplayTo(replay.actions.length));
+document.getElementById('replay-scrub').addEventListener('input', (event) => seekReplayTo(Number(event.target.value)));
+document.getElementById('replay-jump').addEventListener('change', (event) => seekReplayTo(Number(event.target.value)));
+document.getElementById('btn-replay-exit').addEventListener('click', exitReplay);
+
+// Game Over modal
+document.getElementById('btn-game-over-close').addEventListener('click', closeGameOverModal);
+document.getElementById('btn-game-over-replay').addEventListener('click', () => {
+    closeGameOverModal();
+    document.getElementById('btn-replay').click();
+});
+document.getElementById('btn-game-over-next').addEventListener('click', startNextMatchGame);
+document.getElementById('btn-game-over-summary').addEventListener('click', () => {
+    closeGameOverModal();
+    showMatchSummary();
+});
+
+// Match summary
+document.getElementById('match-display').addEventListener('click', showMatchSummary);
+document.getElementById('btn-match-summary-next').addEventListener('click', startNextMatchGame);
+document.getElementById('btn-match-summary-close').addEventListener('click', closeMatchSummary);
+
+// Full log filters
+for (const filterId of ['log-filter-type', 'log-filter-faction', 'log-filter-round', 'log-filter-unit']) {
+    document.getElementById(filterId).addEventListener('change', renderFullLog);
+}
+
+// Save/Load game buttons
+const loadGameInput = document.getElementById('load-game-input');
+document.getElementById('btn-save-game').addEventListener('click', saveGame);
+document.getElementById('btn-load-game').addEventListener('click', () => loadGameInput.click());
+loadGameInput.addEventListener('change', () => {
+    if (loadGameInput.files.length > 0) {
+        loadGame(loadGameInput.files[0]);
+    }
+    // Allow loading the same file again
+    loadGameInput.value = '';
+});
+
 // Rules modal tab switching
 document.querySelectorAll('.rules-tab-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -1589,9 +2274,10 @@ document.querySelectorAll('.mode-option').forEach(option => {
 });
 
 // Check URL hash immediately (before page loads) to avoid showing modal
+// The hash is the mode, optionally followed by parameters: #draft&seed=1234
 function checkUrlHashImmediate() {
-    const hash = window.location.hash.slice(1).toLowerCase();
-    const validModes = ['starter', 'learning', 'demo', 'random', 'draft'];
+    const hash = window.location.hash.slice(1).split('&')[0].toLowerCase();
+    const validModes = ['starter', 'learning', 'demo', 'random', 'draft', 'rolled'];
     
     if (validModes.includes(hash)) {
         // Map alias names to actual modes
@@ -1606,8 +2292,120 @@ function checkUrlHashImmediate() {
     return null;
 }
 
+// Seed requested in the URL hash (#draft&seed=1234), or undefined for a fresh one
+function checkUrlSeed() {
+    const seed = new URLSearchParams(window.location.hash.slice(1)).get('seed');
+    return seed ? parseSeed(seed) : undefined;
+}
+
+// Rule variants to play with, e.g. #draft&rules=stickyEngagement,roundLimit=8
+function checkUrlRules() {
+    const text = new URLSearchParams(window.location.hash.slice(1)).get('rules');
+    try {
+        return text ? parseRules(text) : {};
+    } catch (error) {
+        console.warn(`Ignoring rules in the URL: ${error.message}`);
+        return {};
+    }
+}
+
+// Dice faces that mean an alternate unit, e.g. #draft&roster=4=Commander,6=Militia
+function checkUrlRoster() {
+    const text = new URLSearchParams(window.location.hash.slice(1)).get('roster');
+    try {
+        return text ? parseRoster(text) : { ...DEFAULT_ROSTER };
+    } catch (error) {
+        console.warn(`Ignoring roster in the URL: ${error.message}`);
+        return { ...DEFAULT_ROSTER };
+    }
+}
+
+// Match to play, e.g. #draft&match=bestOf3 or #demo&match=firstTo10
+function checkUrlMatch() {
+    const text = new URLSearchParams(window.location.hash.slice(1)).get('match');
+    try {
+        return text ? parseMatchFormat(text) : null;
+    } catch (error) {
+        console.warn(`Ignoring match in the URL: ${error.message}`);
+        return null;
+    }
+}
+
 // Store the detected mode
 const detectedMode = checkUrlHashImmediate();
+const urlSeed = checkUrlSeed();
+
+// The mode selection modal starts with the URL's rule variants and games use what it shows
+const urlRules = { ...DEFAULT_RULES, ...checkUrlRules() };
+document.getElementById('rule-sticky-engagement').checked = urlRules.stickyEngagement;
+document.getElementById('rule-hidden-setup').checked = urlRules.hiddenSetup;
+document.getElementById('rule-trample-damage').checked = urlRules.trampleDamage;
+document.getElementById('rule-counter-charge-range').value = urlRules.counterChargeRange;
+document.getElementById('rule-muskets-stationary').checked = urlRules.musketsStationary;
+document.getElementById('rule-army-rerolls').value = urlRules.armyRerolls;
+document.getElementById('rule-army-shifts').value = urlRules.armyShifts;
+document.getElementById('rule-round-limit').value = urlRules.roundLimit;
+document.getElementById('rule-power-margin').value = urlRules.powerMargin;
+
+// One selector per dice face, listing the units that face can mean
+const urlRoster = checkUrlRoster();
+const rosterFaces = document.getElementById('roster-faces');
+for (const [face, options] of Object.entries(ROSTER_OPTIONS)) {
+    const label = document.createElement('label');
+    label.textContent = `${face} = `;
+    const select = document.createElement('select');
+    select.id = `roster-face-${face}`;
+    select.disabled = options.length === 1;
+    for (const key of options) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = `${UnitTypes[key].symbol} ${UnitTypes[key].name}`;
+        select.appendChild(option);
+    }
+    select.value = urlRoster[face];
+    label.appendChild(select);
+    rosterFaces.appendChild(label);
+}
+
+// Formats the selector does not list get an option of their own
+const urlMatch = checkUrlMatch();
+if (urlMatch) {
+    const matchSelect = document.getElementById('match-format');
+    const value = `${urlMatch.type}${urlMatch.count}`;
+    if (![...matchSelect.options].some(option => option.value === value)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = formatMatchFormat(urlMatch);
+        matchSelect.appendChild(option);
+    }
+    matchSelect.value = value;
+}
+
+function getSelectedRules() {
+    const readNumber = (id, fallback) => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return Number.isInteger(value) && value >= 0 ? value : fallback;
+    };
+    return {
+        stickyEngagement: document.getElementById('rule-sticky-engagement').checked,
+        hiddenSetup: document.getElementById('rule-hidden-setup').checked,
+        trampleDamage: document.getElementById('rule-trample-damage').checked,
+        counterChargeRange: readNumber('rule-counter-charge-range', DEFAULT_RULES.counterChargeRange),
+        musketsStationary: document.getElementById('rule-muskets-stationary').checked,
+        armyRerolls: readNumber('rule-army-rerolls', DEFAULT_RULES.armyRerolls),
+        armyShifts: readNumber('rule-army-shifts', DEFAULT_RULES.armyShifts),
+        roundLimit: readNumber('rule-round-limit', DEFAULT_RULES.roundLimit),
+        powerMargin: readNumber('rule-power-margin', DEFAULT_RULES.powerMargin)
+    };
+}
+
+function getSelectedRoster() {
+    const roster = {};
+    for (const face of Object.keys(ROSTER_OPTIONS)) {
+        roster[face] = document.getElementById(`roster-face-${face}`).value || DEFAULT_ROSTER[face];
+    }
+    return roster;
+}
 
 // Hide modal immediately if mode was detected in URL
 if (detectedMode) {
@@ -1640,22 +2438,97 @@ function startSelectedGame() {
     const app = document.getElementById('app');
     app.classList.remove('hidden');
     
-    if (selectedMode === 'demo') {
-        setupDemoGame();
-    } else if (selectedMode === 'random') {
-        setupRandomGame();
-    } else if (selectedMode === 'draft') {
-        setupDraftGame();
+    // A new game ends any match in progress, and may start a new one
+    const rules = getSelectedRules();
+    const roster = getSelectedRoster();
+    const firstFaction = Number(document.getElementById('first-faction').value);
+    const formatText = document.getElementById('match-format').value;
+    match = formatText ? createMatch({
+        format: parseMatchFormat(formatText),
+        mode: selectedMode,
+        betweenGames: document.getElementById('match-between-games').value,
+        rules,
+        roster,
+        firstFaction
+    }) : null;
+    autosaveMatch(match);
+    
+    setupGame(selectedMode, { seed: urlSeed, rules, roster, firstFaction });
+    if (match) {
+        logMessage(state, `🏆 ${formatMatchFormat(match.format)} match - Game 1`);
+        updateUI();
+    }
+}
+
+// config: { seed, rules, roster, firstFaction }, as for newGame
+function setupGame(mode, config) {
+    if (mode === 'demo') {
+        setupDemoGame(config);
+    } else if (mode === 'random') {
+        setupRandomGame(config);
+    } else if (mode === 'draft') {
+        setupDraftGame(config);
+    } else if (mode === 'rolled') {
+        setupRolledGame(config);
     }
 }
 
 document.getElementById('start-game-btn').addEventListener('click', startSelectedGame);
 
+// Offer to resume autosaved games at the top of the mode selection modal
+function showResumeOptions(autosaves) {
+    const container = document.getElementById('resume-game-options');
+    container.innerHTML = '';
+    container.classList.toggle('hidden', autosaves.length === 0);
+    const savedMatch = loadAutosavedMatch();
+    
+    for (const autosave of autosaves) {
+        const modeTitle = document.querySelector(`[data-mode="${autosave.mode}"] .mode-option-title`).textContent;
+        const savedAt = new Date(autosave.savedAt).toLocaleString();
+        
+        const option = document.createElement('div');
+        option.className = 'resume-option';
+        const matchNote = savedMatch && savedMatch.mode === autosave.mode && !isMatchOver(savedMatch)
+            ? ` · ${formatMatchFormat(savedMatch.format)} match, Game ${savedMatch.games.length + 1}`
+            : '';
+        option.innerHTML = `
+            <div class="mode-option-title">▶️ Resume game from Round ${autosave.round}</div>
+            <div class="mode-option-desc">${modeTitle}${matchNote} · saved ${savedAt}</div>
+        `;
+        option.addEventListener('click', () => resumeAutosave(autosave.mode));
+        container.appendChild(option);
+    }
+}
+
+function resumeAutosave(mode) {
+    try {
+        const savedMatch = loadAutosavedMatch();
+        restoreGame(loadAutosave(mode));
+        // The match carries on if this is its current Game
+        if (savedMatch && savedMatch.mode === mode && !isMatchOver(savedMatch)) {
+            match = savedMatch;
+        } else {
+            endMatch();
+        }
+        logMessage(state, `▶️ Game resumed (Round ${state.round})`);
+        updateUI();
+    } catch (error) {
+        // The slot could not be restored - fall back to a fresh game of that mode
+        console.error('Error resuming game:', error);
+        document.querySelectorAll('.mode-option').forEach(opt => opt.classList.toggle('selected', opt.dataset.mode === mode));
+        startSelectedGame();
+        logMessage(state, `Could not resume the saved game: ${error.message}`);
+        updateUI();
+    }
+}
+
 // Mulligan UI event listeners
 
 // Setup game with random unit placement
-function setupRandomGame() {
-    state = createGameState();
+function setupRandomGame(config) {
+    state = createGameState(config.seed, config.rules);
+    state.firstFaction = config.firstFaction;
+    state.roster = { ...DEFAULT_ROSTER, ...config.roster };
     state.phase = GamePhase.SETUP;
     state.setupMode = 'random';
     
@@ -1664,14 +2537,7 @@ function setupRandomGame() {
     // Generate random unit selections for both factions (but don't place yet)
     const randomUnits1 = [];
     const randomUnits2 = [];
-    const unitTypes = [
-        UnitTypes.ARCHERS,
-        UnitTypes.CANNON,
-        UnitTypes.MOUNTED,
-        UnitTypes.ASSAULT_BEASTS,
-        UnitTypes.SPEARS,
-        UnitTypes.JESTERS
-    ];
+    const unitTypes = getRosterUnitTypes(state.roster);
     
     for (let i = 0; i < 6; i++) {
         randomUnits1.push(unitTypes[i]);
@@ -1679,34 +2545,20 @@ function setupRandomGame() {
     }
     
     state.draftSelected = { 1: randomUnits1, 2: randomUnits2 };
-    
-    // Start placement phase for Player 1
-    state.placementPhase = {
-        currentPlayer: 1,
-        unitsToPlace: [],
-        placedUnits: [],
-        selectedUnit: null
-    };
-    
-    // Place all units for Player 1 in default positions (row 3-5, spreading across columns)
-    for (let i = 0; i < randomUnits1.length; i++) {
-        const unitType = randomUnits1[i];
-        const row = 3 + Math.floor(i / 3); // Distribute across rows 3-5
-        const col = i % 3; // Distribute across cols 0-2
-        const unit = createUnit(unitType, 1, row, col);
-        state.units.push(unit);
-        state.placementPhase.placedUnits.push(unit);
-    }
+    startPlacement();
     
     logMessage(state, 'Random setup - Player 1: Click units to reposition them on rows 3-5. Press Confirm when ready.');
+    autosaveGame(state);
     
     updateUI();
     render();
 }
 
 // Setup game with draft mode
-function setupDraftGame() {
-    state = createGameState();
+function setupDraftGame(config) {
+    state = createGameState(config.seed, config.rules);
+    state.firstFaction = config.firstFaction;
+    state.roster = { ...DEFAULT_ROSTER, ...config.roster };
     state.phase = GamePhase.SETUP;
     state.setupMode = 'draft';
     
@@ -1719,6 +2571,7 @@ function setupDraftGame() {
     state.draftCurrentPick = 0;
     
     logMessage(state, 'Draft mode: Players take turns selecting units');
+    autosaveGame(state);
     
     showDraftUI();
     updateUI();
@@ -1731,12 +2584,12 @@ function generateDraftOrder() {
 }
 
 // Generate random pool of 12 units with possible duplicates
+// Each slot is a die roll, turned into a unit by the game's roster
 function generateRandomDraftPool() {
-    const allUnitTypes = Object.values(UnitTypes);
     const pool = [];
     
     for (let i = 0; i < 12; i++) {
-        const randomType = allUnitTypes[Math.floor(Math.random() * allUnitTypes.length)];
+        const randomType = getUnitTypeForFace(randomInt(state, 6) + 1, state.roster);
         pool.push({
             type: randomType,
             id: `draft-${i}` // Unique ID for each pool slot
@@ -1822,6 +2675,8 @@ function selectDraftUnit(unitInfo) {
     } else {
         updateDraftUI();
     }
+    
+    autosaveGame(state);
 }
 
 // Complete draft and place units
@@ -1829,7 +2684,114 @@ function completeDraft() {
     const overlay = document.getElementById('draft-overlay');
     overlay.classList.add('hidden');
     
-    // Start placement phase for Player 1
+    startPlacement();
+    
+    logMessage(state, 'Player 1 - Click units to reposition them on rows 3-5. Press Confirm when ready.');
+    updateUI();
+    render();
+}
+
+// Setup game with rolled armies
+function setupRolledGame(config) {
+    state = createGameState(config.seed, config.rules);
+    state.firstFaction = config.firstFaction;
+    state.roster = { ...DEFAULT_ROSTER, ...config.roster };
+    state.phase = GamePhase.SETUP;
+    state.setupMode = 'rolled';
+    
+    logMessage(state, '🎲 Welcome to SmallTricks! Roll your armies.');
+    startArmyRolls(state);
+    autosaveGame(state);
+    
+    showRollUI();
+    updateUI();
+    render();
+}
+
+function showRollUI() {
+    document.getElementById('roll-overlay').classList.remove('hidden');
+    updateRollUI();
+}
+
+// Both rolls, with reroll and shift buttons on the current player's dice
+function updateRollUI() {
+    const { currentPlayer, rolls } = state.rollPhase;
+    const { rerollsLeft, shiftsLeft } = rolls[currentPlayer];
+    
+    document.getElementById('roll-current-player').textContent = currentPlayer;
+    document.getElementById('roll-rerolls-left').textContent = rerollsLeft;
+    document.getElementById('roll-shifts-left').textContent = shiftsLeft;
+    
+    for (const player of [1, 2]) {
+        const diceElem = document.getElementById(`roll-p${player}-dice`);
+        diceElem.innerHTML = '';
+        
+        rolls[player].dice.forEach((face, index) => {
+            const type = getUnitTypeForFace(face, state.roster);
+            const dieDiv = document.createElement('div');
+            dieDiv.className = 'draft-unit-option roll-die';
+            dieDiv.innerHTML = `
+                <div class="roll-die-face">${face}</div>
+                <div class="draft-unit-emoji">${type.symbol}</div>
+                <div class="draft-unit-name">${type.name}</div>
+            `;
+            
+            if (player === currentPlayer) {
+                const controls = document.createElement('div');
+                controls.className = 'roll-die-controls';
+                const addControl = (label, title, enabled, onClick) => {
+                    const button = document.createElement('button');
+                    button.textContent = label;
+                    button.title = title;
+                    button.disabled = !enabled;
+                    button.addEventListener('click', () => adjustArmyRoll(onClick));
+                    controls.appendChild(button);
+                };
+                addControl('▼', 'Shift down by 1', shiftsLeft > 0 && face > 1, () => shiftArmyDie(state, index, -1));
+                addControl('🎲', 'Reroll', rerollsLeft > 0, () => rerollArmyDie(state, index));
+                addControl('▲', 'Shift up by 1', shiftsLeft > 0 && face < 6, () => shiftArmyDie(state, index, 1));
+                dieDiv.appendChild(controls);
+            } else {
+                dieDiv.classList.add('disabled');
+            }
+            
+            diceElem.appendChild(dieDiv);
+        });
+    }
+}
+
+function adjustArmyRoll(adjust) {
+    try {
+        adjust();
+        autosaveGame(state);
+    } catch (error) {
+        logMessage(state, error.message);
+    }
+    updateRollUI();
+    updateUI();
+}
+
+// Keep the current roll; once both players have, the rolled units go to placement
+function keepRoll() {
+    if (!state.rollPhase) return;
+    
+    if (keepArmyRoll(state)) {
+        document.getElementById('roll-overlay').classList.add('hidden');
+        state.draftSelected = { 1: getRolledArmy(state, 1), 2: getRolledArmy(state, 2) };
+        delete state.rollPhase;
+        startPlacement();
+        logMessage(state, 'Player 1 - Click units to reposition them on rows 3-5. Press Confirm when ready.');
+    } else {
+        updateRollUI();
+    }
+    
+    autosaveGame(state);
+    updateUI();
+    render();
+}
+
+// Start placement phase for Player 1 with the units in state.draftSelected
+function startPlacement() {
     state.placementPhase = {
         currentPlayer: 1,
         unitsToPlace: [],
@@ -1844,14 +2806,10 @@ function completeDraft() {
         const unitType = p1Units[i];
         const row = 3 + Math.floor(i / 3); // Distribute across rows 3-5
         const col = i % 3; // Distribute across cols 0-2
-        const unit = createUnit(unitType, 1, row, col);
+        const unit = createUnit(state, unitType, 1, row, col);
         state.units.push(unit);
         state.placementPhase.placedUnits.push(unit);
     }
-    
-    logMessage(state, 'Player 1 - Click units to reposition them on rows 3-5. Press Confirm when ready.');
-    updateUI();
-    render();
 }
 
 // Initialize the game (show mode selection modal)
@@ -1859,7 +2817,16 @@ function completeDraft() {
 
 // Check URL hash when page loads
 document.addEventListener('DOMContentLoaded', () => {
-    if (detectedMode) {
+    const autosaves = listAutosaves();
+    showResumeOptions(autosaves);
+    
+    if (detectedMode && autosaves.some(autosave => autosave.mode === detectedMode)) {
+        // An unfinished game of this mode exists - ask before replacing it
+        // (game.html leaves the modal visible in this case)
+        const selectedOption = document.querySelector(`[data-mode="${detectedMode}"]`);
+        document.querySelectorAll('.mode-option').forEach(opt => opt.classList.remove('selected'));
+        selectedOption.classList.add('selected');
+    } else if (detectedMode) {
         // Hide modal if we detected a mode in the URL
         const modal = document.getElementById('mode-selection-modal');
         modal.classList.add('hidden');
@@ -0,0 +1,106 @@
+// Match play
+// A Match is a series of Games between the same two players: best of N games,
+// or first to N wins. Player 1 and Player 2 keep their seats for the whole
+// Match while the First Faction alternates from one Game to the next. Finished
+// Games are kept with their notation so any of them can be replayed from the
+// match summary. A match is plain JSON, so it can be autosaved as-is.
+import { exportNotation } from './notation.js';
+import { DEFAULT_ROSTER } from './state.js';
+
+// How the armies are set up for every Game after the first
+export const BetweenGames = {
+    KEEP: 'keep', // Same units in the same places
+    PLACE: 'place', // Same units, placed again
+    REBUILD: 'rebuild' // Set up from scratch in the match's mode (a new draft in draft mode)
+};
+
+// Parse a match format written as bestOf<N> or firstTo<N>, e.g. bestOf3 or firstTo10
+export function parseMatchFormat(text) {
+    const match = /^(bestOf|firstTo)(\d+)$/.exec(text.trim());
+    if (!match) {
+        throw new Error(`Unknown match format "${text}" (use bestOf3, firstTo10, ...)`);
+    }
+    const format = { type: match[1], count: parseInt(match[2], 10) };
+    if (format.count < 1) {
+        throw new Error(`A match needs at least one game, got "${text}"`);
+    }
+    return format;
+}
+
+export function formatMatchFormat({ type, count }) {
+    return type === 'bestOf' ? `Best of ${count}` : `First to ${count}`;
+}
+
+// Games a player has to win to take the match
+export function getWinsNeeded({ type, count }) {
+    return type === 'bestOf' ? Math.floor(count / 2) + 1 : count;
+}
+
+// config.format: { type: 'bestOf' | 'firstTo', count }
+// config.mode: setup mode every Game is played in ('demo', 'random', 'draft')
+// config.betweenGames: one of BetweenGames
+// config.rules: rule variants every Game is played with
+// config.roster: unit type key for each dice face in every Game
+// config.firstFaction: First Faction of the first Game (defaults to Player 1)
+export function createMatch(config) {
+    return {
+        format: config.format,
+        mode: config.mode,
+        betweenGames: config.betweenGames || BetweenGames.KEEP,
+        rules: config.rules || {},
+        roster: config.roster || { ...DEFAULT_ROSTER },
+        firstFaction: config.firstFaction || 1,
+        games: [] // [{ firstFaction, winner, reason, rounds, castleDamage, initialArmies, notation }]
+    };
+}
+
+// First Faction of the next Game: the roles swap after every Game
+export function getMatchFirstFaction(match) {
+    const first = match.firstFaction ?? 1;
+    return match.games.length % 2 === 0 ? first : (first === 1 ? 2 : 1);
+}
+
+// Add a finished Game to the match
+export function recordMatchGame(match, state) {
+    if (isMatchOver(match)) {
+        throw new Error('The match is already over');
+    }
+    match.games.push({
+        firstFaction: state.firstFaction,
+        winner: state.result.winner,
+        reason: state.result.reason,
+        rounds: state.round,
+        castleDamage: { ...state.castleDamage },
+        initialArmies: state.initialArmies,
+        notation: exportNotation(state)
+    });
+    return match;
+}
+
+// Games won by each player; drawn Games count for neither
+export function getMatchScore(match) {
+    const score = { 1: 0, 2: 0 };
+    for (const game of match.games) {
+        if (game.winner) score[game.winner]++;
+    }
+    return score;
+}
+
+// Winning player, or null while the match is running or if it ended level
+export function getMatchWinner(match) {
+    const score = getMatchScore(match);
+    const winsNeeded = getWinsNeeded(match.format);
+    for (const faction of [1, 2]) {
+        if (score[faction] >= winsNeeded) return faction;
+    }
+    // Draws can use up a best-of match before anyone gets there: the leader takes it
+    if (match.format.type === 'bestOf' && match.games.length >= match.format.count && score[1] !== score[2]) {
+        return score[1] > score[2] ? 1 : 2;
+    }
+    return null;
+}
+
+export function isMatchOver(match) {
+    if (getMatchWinner(match)) return true;
+    return match.format.type === 'bestOf' && match.games.length >= match.format.count;
+}
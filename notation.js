@@ -0,0 +1,563 @@
+// Game notation
+// A compact, human-readable record of a whole game that can be shared as text
+// and loaded back. Units are written as their type name and per-game number
+// (Archers#1, AssaultBeasts#2) and hexes as [row, col], like the game log.
+//
+//   [Game "Smalltricks"]
+//   [Mode "draft"]
+//   [Seed "1234"]
+//   [Rules "stickyEngagement, roundLimit=8"]
+//   [Result "Player 2: Player 1 castle took 2+ more damage"]
+//
+//   Draft: P1 Archers, P2 Cannon, P2 Mounted, ...
+//   Setup P1: Archers#1 [3, 0], Cannon#1 [3, 1], ...
+//   Setup P2: ...
+//
+//   1. P1: Spears#1 [2, 1]; Mounted#1 [3, 2] [2, 2] x Cannon#1; Commander#1 > Archers#1 [3, 0]
+//      P2: Archers#1 [1, 1]; Mounted#1 [1, 3] stop; Jesters#1 < Spears#1
+//      P2 engagement: Spears#2 = Mounted#1; AssaultBeasts#1 ability
+//      P2 targets: Archers#1 > Spears#1
+//      P1 targets: Spears#1 > Cannon#1; Cannon#1 > [1, 1]
+//      P1 combat [2, 2]: Cannon#1 2, Spears#2 0
+//      P2 order: P2 BatteryRam#1, P1 BatteryRam#1
+//   2. P1: ...
+//
+// Each faction line ends that player's phase unless it ends with "...".
+// Mounted second moves ([r, c]), skipped second moves (stop), charge
+// targets (x Unit) and the Spears the defender picked to Counter Charge
+// (! Spears) follow the move they belong to. Forward! orders are written
+// Commander > Unit [r, c] and Taunts Jesters < Enemy. In a one-and-two hex the
+// single unit's Engaged enemy is written Unit = Enemy and the free unit's choice
+// as combat or ability; with sticky engagements these choices are made as the
+// hex is entered and appear in the faction line, ahead of any Mounted follow-up
+// of the move that caused them. The Rules tag lists the rule variants that
+// differ from the defaults, and a Roster tag ("4=Commander") the dice faces
+// that mean an alternate unit. When Player 2 is the First Faction a
+// [FirstFaction "P2"] tag says so and each round starts with the P2 line. An
+// order line records the Second Faction's order for effects that cannot
+// resolve simultaneously; other resolution steps have no choices and are not
+// written down.
+import { UnitTypes, GamePhase, formatRules, parseRules, formatRoster, parseRoster } from './state.js';
+import { newGame, applyAction, getPendingEngagement, getFirstFaction, getSecondFaction, getPhaseFaction } from './engine.js';
+import { parseSeed } from './rng.js';
+import { AUTOSAVE_MODES } from './autosave.js';
+import {
+    ActionType,
+    createMoveAction,
+    createMountedSecondMoveAction,
+    createSkipSecondMoveAction,
+    createForwardOrderAction,
+    createTauntAction,
+    createChargeTargetAction,
+    createCounterChargeAction,
+    createEngageAction,
+    createFreeUnitChoiceAction,
+    createAbilityTargetAction,
+    createCombatAllocationAction,
+    createOrderEffectsAction,
+    createEndPhaseAction,
+    createResolveAction
+} from './actions.js';
+
+const RESOLUTION_STEPS_PER_ROUND = 4;
+
+// Unit type as written in notation: its name without spaces
+function getTypeNotation(type) {
+    return type.name.replace(/\s+/g, '');
+}
+
+function findTypeByNotation(text) {
+    return Object.values(UnitTypes).find(type => getTypeNotation(type).toLowerCase() === text.toLowerCase());
+}
+
+function formatHex(row, col) {
+    return `[${row}, ${col}]`;
+}
+
+// Export
+
+// Write a game as notation text
+export function exportNotation(state) {
+    if (!state.initialArmies) {
+        throw new Error('This game has no recorded starting armies to export');
+    }
+    
+    const allUnits = [...state.units, ...state.destroyedUnits[1], ...state.destroyedUnits[2]];
+    const unitNotation = id => {
+        const unit = allUnits.find(u => u.id === id);
+        return `${getTypeNotation(unit.type)}#${unit.number}`;
+    };
+    const factionOf = id => allUnits.find(u => u.id === id).faction;
+    
+    const result = !state.result ? '*'
+        : state.result.winner ? `Player ${state.result.winner}: ${state.result.reason}`
+        : `Draw: ${state.result.reason}`;
+    const rules = formatRules(state.rules);
+    const roster = formatRoster(state.roster);
+    const lines = [
+        '[Game "Smalltricks"]',
+        `[Mode "${state.setupMode || 'demo'}"]`,
+        `[Seed "${state.seed}"]`,
+        ...(rules ? [`[Rules "${rules}"]`] : []),
+        ...(roster ? [`[Roster "${roster}"]`] : []),
+        ...(getFirstFaction(state) !== 1 ? [`[FirstFaction "P${getFirstFaction(state)}"]`] : []),
+        `[Result "${result}"]`,
+        ''
+    ];
+    
+    // Draft picks in order (each player's picks are taken in the order they made them)
+    if (state.draftPickOrder && state.draftSelected) {
+        const taken = { 1: 0, 2: 0 };
+        const picks = state.draftPickOrder.map(player => {
+            const type = state.draftSelected[player][taken[player]++];
+            return type ? `P${player} ${getTypeNotation(type)}` : null;
+        }).filter(Boolean);
+        lines.push(`Draft: ${picks.join(', ')}`);
+    }
+    
+    // Starting armies, numbered the way createUnit numbers them
+    for (const faction of [1, 2]) {
+        const counters = {};
+        const army = state.initialArmies[faction].map(({ type, row, col }) => {
+            counters[type] = (counters[type] || 0) + 1;
+            return `${getTypeNotation(UnitTypes[type])}#${counters[type]} ${formatHex(row, col)}`;
+        });
+        lines.push(`Setup P${faction}: ${army.join(', ')}`);
+    }
+    lines.push('');
+    
+    // Moves, round by round
+    let round = 1;
+    let roundStarted = false;
+    const firstFaction = getFirstFaction(state);
+    let factionPhase = firstFaction;
+    let inFactionPhase = true;
+    let resolveCount = 0;
+    let moves = null; // Items of the faction phase being written
+    let group = null; // { faction, kind, items } for consecutive engagement choices or ability targets
+    
+    const pushLine = text => {
+        const marker = `${round}.`;
+        lines.push(`${roundStarted ? ' '.repeat(marker.length) : marker} ${text}`);
+        roundStarted = true;
+    };
+    const flushGroup = () => {
+        if (group) {
+            pushLine(`P${group.faction} ${group.kind}: ${group.items.join('; ')}`);
+            group = null;
+        }
+    };
+    const addToGroup = (faction, kind, item) => {
+        if (group && (group.faction !== faction || group.kind !== kind)) {
+            flushGroup();
+        }
+        group = group || { faction, kind, items: [] };
+        group.items.push(item);
+    };
+    const appendToLastMove = text => {
+        moves[moves.length - 1] += ` ${text}`;
+    };
+    
+    for (const action of state.actionHistory) {
+        switch (action.type) {
+            case ActionType.MOVE:
+                moves = moves || [];
+                moves.push(`${unitNotation(action.unitId)} ${formatHex(action.row, action.col)}`);
+                break;
+            case ActionType.FORWARD_ORDER:
+                moves = moves || [];
+                moves.push(`${unitNotation(action.unitId)} > ${unitNotation(action.targetId)} ${formatHex(action.row, action.col)}`);
+                break;
+            case ActionType.TAUNT:
+                moves = moves || [];
+                moves.push(`${unitNotation(action.unitId)} < ${unitNotation(action.targetId)}`);
+                break;
+            case ActionType.MOUNTED_SECOND_MOVE:
+                appendToLastMove(formatHex(action.row, action.col));
+                break;
+            case ActionType.SKIP_SECOND_MOVE:
+                appendToLastMove('stop');
+                break;
+            case ActionType.CHARGE_TARGET:
+                appendToLastMove(`x ${unitNotation(action.targetId)}`);
+                break;
+            case ActionType.COUNTER_CHARGE:
+                appendToLastMove(`! ${unitNotation(action.unitId)}`);
+                break;
+            case ActionType.ENGAGE: {
+                const item = `${unitNotation(action.unitId)} = ${unitNotation(action.targetId)}`;
+                if (inFactionPhase) {
+                    moves = moves || [];
+                    moves.push(item);
+                } else {
+                    addToGroup(factionOf(action.unitId), 'engagement', item);
+                }
+                break;
+            }
+            case ActionType.FREE_UNIT_CHOICE: {
+                const item = `${unitNotation(action.unitId)} ${action.choice}`;
+                if (inFactionPhase) {
+                    moves = moves || [];
+                    moves.push(item);
+                } else {
+                    addToGroup(factionOf(action.unitId), 'engagement', item);
+                }
+                break;
+            }
+            case ActionType.END_PHASE:
+                if (inFactionPhase) {
+                    pushLine(`P${factionPhase}: ${moves ? moves.join('; ') : '-'}`);
+                    moves = null;
+                    inFactionPhase = factionPhase === firstFaction;
+                    factionPhase = factionPhase === 1 ? 2 : 1;
+                }
+                break;
+            case ActionType.ABILITY_TARGET: {
+                const { selection } = action;
+                const target = selection.hex ? formatHex(selection.hex.row, selection.hex.col)
+                    : selection.column !== undefined ? 'fire'
+                    : selection.skip ? 'skip'
+                    : unitNotation(selection.unitId);
+                addToGroup(factionOf(action.unitId), 'targets', `${unitNotation(action.unitId)} > ${target}`);
+                break;
+            }
+            case ActionType.COMBAT_ALLOCATION: {
+                flushGroup();
+                const split = Object.entries(action.damage).map(([id, amount]) => `${unitNotation(id)} ${amount}`);
+                pushLine(`P${action.attackingFaction} combat ${formatHex(action.hex.row, action.hex.col)}: ${split.join(', ')}`);
+                break;
+            }
+            case ActionType.ORDER_EFFECTS: {
+                flushGroup();
+                const order = action.unitIds.map(id => `P${factionOf(id)} ${unitNotation(id)}`);
+                pushLine(`P${getSecondFaction(state)} order: ${order.join(', ')}`);
+                break;
+            }
+            case ActionType.RESOLVE:
+                flushGroup();
+                resolveCount++;
+                if (resolveCount % RESOLUTION_STEPS_PER_ROUND === 0) {
+                    round++;
+                    roundStarted = false;
+                    factionPhase = firstFaction;
+                    inFactionPhase = true;
+                }
+                break;
+        }
+    }
+    
+    // A phase still in progress
+    flushGroup();
+    if (moves) {
+        pushLine(`P${factionPhase}: ${moves.join('; ')} ...`);
+    }
+    
+    return lines.join('\n') + '\n';
+}
+
+// Import
+
+const TOKEN_PATTERN = /([A-Za-z]+)#(\d+)|\[\s*(\d+)\s*,\s*(\d+)\s*\]|([<>=!])|\b(x|stop|combat|ability|fire|skip)\b|(\S+)/g;
+
+// Split notation text into units, hexes and keywords
+function tokenize(text) {
+    const tokens = [];
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        if (match[1]) {
+            tokens.push({ kind: 'unit', text: match[0], typeName: match[1], number: Number(match[2]) });
+        } else if (match[3] !== undefined) {
+            tokens.push({ kind: 'hex', text: match[0], row: Number(match[3]), col: Number(match[4]) });
+        } else if (match[5] || match[6]) {
+            tokens.push({ kind: 'keyword', text: match[0] });
+        } else {
+            throw new Error(`Unexpected "${match[7]}"`);
+        }
+    }
+    return tokens;
+}
+
+// Read a whole game from notation text and replay it
+// Returns a game state positioned after the last recorded action
+export function importNotation(text) {
+    const lines = text.split(/\r?\n/);
+    const tags = {};
+    const armies = {};
+    const body = [];
+    
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) return;
+        
+        const tag = line.match(/^\[(\w+)\s+"(.*)"\]$/);
+        const setup = line.match(/^Setup P([12]):\s*(.*)$/);
+        if (tag) {
+            tags[tag[1]] = tag[2];
+        } else if (setup) {
+            armies[setup[1]] = withLineNumber(index, () => parseArmy(setup[2]));
+        } else if (!line.startsWith('Draft:')) {
+            // The draft line is a record of the picks; the setup lines hold the resulting armies
+            body.push({ index, line: line.replace(/^\d+\.\s*/, '') });
+        }
+    });
+    
+    if (tags.Game !== 'Smalltricks') {
+        throw new Error('Not Smalltricks game notation (missing [Game "Smalltricks"])');
+    }
+    if (!armies[1] || !armies[2]) {
+        throw new Error('Game notation needs a Setup line for each player');
+    }
+    const firstFaction = tags.FirstFaction ? tags.FirstFaction.match(/^P([12])$/) : ['P1', '1'];
+    if (!firstFaction) {
+        throw new Error(`FirstFaction must be P1 or P2, got "${tags.FirstFaction}"`);
+    }
+    // The mode names the game's autosave slot, so only the setup modes are accepted
+    if (tags.Mode && !AUTOSAVE_MODES.includes(tags.Mode)) {
+        throw new Error(`Unknown Mode "${tags.Mode}" (use ${AUTOSAVE_MODES.join(', ')})`);
+    }
+    
+    const state = newGame({
+        armies,
+        seed: tags.Seed ? parseSeed(tags.Seed) : undefined,
+        rules: tags.Rules ? parseRules(tags.Rules) : {},
+        roster: tags.Roster ? parseRoster(tags.Roster) : undefined,
+        firstFaction: Number(firstFaction[1])
+    });
+    if (tags.Mode && tags.Mode !== 'demo') {
+        state.setupMode = tags.Mode;
+    }
+    
+    for (const { index, line } of body) {
+        withLineNumber(index, () => {
+            resolveForcedSteps(state);
+            applyNotationLine(state, line);
+        });
+    }
+    resolveForcedSteps(state);
+    
+    return state;
+}
+
+function withLineNumber(index, fn) {
+    try {
+        return fn();
+    } catch (error) {
+        throw new Error(`Line ${index + 1}: ${error.message}`);
+    }
+}
+
+// "Archers#1 [3, 0], Cannon#1 [3, 1]" -> [{ type: 'ARCHERS', row: 3, col: 0 }, ...]
+function parseArmy(text) {
+    // Drop the commas between entries (not the ones inside hexes)
+    const tokens = tokenize(text.replace(/\]\s*,/g, '] '));
+    const army = [];
+    for (let i = 0; i < tokens.length; i += 2) {
+        const [unit, hex] = [tokens[i], tokens[i + 1]];
+        const type = unit.kind === 'unit' && findTypeByNotation(unit.typeName);
+        if (!type || !hex || hex.kind !== 'hex') {
+            throw new Error(`Expected a unit and its hex, got "${unit.text}"`);
+        }
+        army.push({ type: Object.keys(UnitTypes).find(key => UnitTypes[key] === type), row: hex.row, col: hex.col });
+    }
+    return army;
+}
+
+// Resolution steps involve no decisions, so they are replayed automatically
+function resolveForcedSteps(state) {
+    const resolutionPhases = [
+        GamePhase.RESOLUTION_COMBAT,
+        GamePhase.RESOLUTION_MELEE,
+        GamePhase.RESOLUTION_RANGED,
+        GamePhase.RESOLUTION_CASTLE
+    ];
+    while (resolutionPhases.includes(state.phase) &&
+        state.pendingAllocations.length === 0 &&
+        state.pendingOrderings.length === 0) {
+        applyAction(state, createResolveAction());
+    }
+}
+
+// Find the live unit a notation token refers to
+function findUnit(state, token, faction) {
+    const type = token && token.kind === 'unit' && findTypeByNotation(token.typeName);
+    const unit = type && state.units.find(u =>
+        u.faction === faction &&
+        u.type.id === type.id &&
+        u.number === token.number
+    );
+    if (!unit) {
+        throw new Error(`No Player ${faction} unit ${token ? token.text : ''} on the board`);
+    }
+    return unit;
+}
+
+function expectHex(token) {
+    if (!token || token.kind !== 'hex') {
+        throw new Error(`Expected [row, col], got "${token ? token.text : 'end of line'}"`);
+    }
+    return token;
+}
+
+function applyNotationLine(state, line) {
+    const faction = line.match(/^P([12]):\s*(.*)$/);
+    const engagement = line.match(/^P([12]) engagement:\s*(.*)$/);
+    const targets = line.match(/^P([12]) targets:\s*(.*)$/);
+    const combat = line.match(/^P([12]) combat\s*\[\s*(\d+)\s*,\s*(\d+)\s*\]:\s*(.*)$/);
+    const order = line.match(/^P([12]) order:\s*(.*)$/);
+    
+    if (faction) {
+        applyFactionPhase(state, Number(faction[1]), faction[2]);
+    } else if (engagement) {
+        applyEngagementChoices(state, Number(engagement[1]), engagement[2]);
+    } else if (targets) {
+        applyAbilityTargets(state, Number(targets[1]), targets[2]);
+    } else if (combat) {
+        applyCombatAllocation(state, Number(combat[1]), { row: Number(combat[2]), col: Number(combat[3]) }, combat[4]);
+    } else if (order) {
+        applyEffectOrder(state, order[2]);
+    } else {
+        throw new Error(`Unrecognized line "${line}"`);
+    }
+}
+
+// "Spears#1 [2, 1]; Mounted#1 [3, 2] [2, 2] x Cannon#1; Commander#1 > Archers#1 [3, 0]; Jesters#1 < Spears#2"
+// Sticky engagement choices ("Spears#2 = Mounted#1", "Cannon#1 ability") can be
+// made by either player, whoever's hex was just entered
+function applyFactionPhase(state, faction, text) {
+    if (getPhaseFaction(state) !== faction) {
+        throw new Error(`Player ${faction} moves, but the game is in phase ${state.phase}`);
+    }
+    
+    const inProgress = /\.\.\.$/.test(text);
+    const items = text.replace(/\.\.\.$/, '').split(';').map(item => item.trim()).filter(item => item && item !== '-');
+    
+    for (const item of items) {
+        const tokens = tokenize(item);
+        
+        if (isEngagementChoice(tokens)) {
+            applyEngagementChoice(state, getPendingEngagement(state)?.faction ?? faction, tokens);
+        } else {
+            applyFactionAction(state, faction, tokens);
+        }
+        
+        // Mounted follow-ups: second move, skipped second move, charge target, countering Spears
+        // (a sticky engagement choice can come between a move and its follow-up)
+        while (tokens.length > 0) {
+            const token = tokens.shift();
+            if (token.kind === 'hex') {
+                if (!state.pendingSecondMove) {
+                    throw new Error(`No second move to make in "${item}"`);
+                }
+                applyAction(state, createMountedSecondMoveAction(state.pendingSecondMove, token.row, token.col));
+            } else if (token.text === 'stop') {
+                applyAction(state, createSkipSecondMoveAction());
+            } else if (token.text === 'x') {
+                const enemy = findUnit(state, tokens.shift(), faction === 1 ? 2 : 1);
+                applyAction(state, createChargeTargetAction(enemy.id));
+            } else if (token.text === '!') {
+                const spears = findUnit(state, tokens.shift(), faction === 1 ? 2 : 1);
+                applyAction(state, createCounterChargeAction(spears.id));
+            } else {
+                throw new Error(`Unexpected "${token.text}" in "${item}"`);
+            }
+        }
+    }
+    
+    if (!inProgress) {
+        applyAction(state, createEndPhaseAction());
+    }
+}
+
+// A move, Forward! order or Taunt; consumes its tokens
+function applyFactionAction(state, faction, tokens) {
+    const unit = findUnit(state, tokens.shift(), faction);
+    
+    if (tokens[0] && tokens[0].text === '>') {
+        tokens.shift();
+        const ordered = findUnit(state, tokens.shift(), faction);
+        const hex = expectHex(tokens.shift());
+        applyAction(state, createForwardOrderAction(unit.id, ordered.id, hex.row, hex.col));
+    } else if (tokens[0] && tokens[0].text === '<') {
+        tokens.shift();
+        const enemy = findUnit(state, tokens.shift(), faction === 1 ? 2 : 1);
+        applyAction(state, createTauntAction(unit.id, enemy.id));
+    } else {
+        const hex = expectHex(tokens.shift());
+        applyAction(state, createMoveAction(unit.id, hex.row, hex.col));
+    }
+}
+
+// "Spears#2 = Mounted#1" or "Cannon#1 combat" / "Cannon#1 ability"
+function isEngagementChoice(tokens) {
+    return Boolean(tokens[1]) && ['=', 'combat', 'ability'].includes(tokens[1].text);
+}
+
+// Consumes the choice's tokens
+function applyEngagementChoice(state, faction, tokens) {
+    const unit = findUnit(state, tokens.shift(), faction);
+    const choice = tokens.shift().text;
+    if (choice === '=') {
+        const enemy = findUnit(state, tokens.shift(), faction === 1 ? 2 : 1);
+        applyAction(state, createEngageAction(unit.id, enemy.id));
+    } else {
+        applyAction(state, createFreeUnitChoiceAction(unit.id, choice));
+    }
+}
+
+// "Spears#2 = Mounted#1; AssaultBeasts#1 ability"
+function applyEngagementChoices(state, faction, text) {
+    for (const item of text.split(';').map(part => part.trim()).filter(Boolean)) {
+        const tokens = tokenize(item);
+        if (!isEngagementChoice(tokens)) {
+            throw new Error(`Expected "Unit = Enemy" or "Unit combat|ability" in "${item}"`);
+        }
+        applyEngagementChoice(state, faction, tokens);
+        if (tokens.length > 0) {
+            throw new Error(`Unexpected "${tokens[0].text}" in "${item}"`);
+        }
+    }
+}
+
+// "Archers#1 > Spears#1; Cannon#1 > [1, 1]"
+function applyAbilityTargets(state, faction, text) {
+    for (const item of text.split(';').map(part => part.trim()).filter(Boolean)) {
+        const tokens = tokenize(item);
+        const unit = findUnit(state, tokens.shift(), faction);
+        if (!tokens[0] || tokens.shift().text !== '>') {
+            throw new Error(`Expected "Unit > target" in "${item}"`);
+        }
+        
+        const target = tokens.shift();
+        const selection = target && target.kind === 'hex' ? { hex: { row: target.row, col: target.col } }
+            : target && target.text === 'fire' ? { column: unit.col }
+            : target && target.text === 'skip' ? { skip: true }
+            : { unitId: findUnit(state, target, faction === 1 ? 2 : 1).id };
+        applyAction(state, createAbilityTargetAction(unit.id, selection));
+    }
+}
+
+// "Cannon#1 2, Spears#2 0"
+function applyCombatAllocation(state, faction, hex, text) {
+    const damage = {};
+    for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+        const match = part.match(/^(\S+)\s+(\d+)$/);
+        if (!match) {
+            throw new Error(`Expected "Unit amount", got "${part}"`);
+        }
+        const enemy = findUnit(state, tokenize(match[1])[0], faction === 1 ? 2 : 1);
+        damage[enemy.id] = Number(match[2]);
+    }
+    applyAction(state, createCombatAllocationAction(hex, faction, damage));
+}
+
+// "P2 BatteryRam#1, P1 BatteryRam#1" - units of both factions, so each names its owner
+function applyEffectOrder(state, text) {
+    const unitIds = [];
+    for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+        const match = part.match(/^P([12])\s+(\S+)$/);
+        if (!match) {
+            throw new Error(`Expected "P1 Unit" or "P2 Unit", got "${part}"`);
+        }
+        unitIds.push(findUnit(state, tokenize(match[2])[0], Number(match[1])).id);
+    }
+    applyAction(state, createOrderEffectsAction(unitIds));
+}
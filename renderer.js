@@ -1,4 +1,14 @@
 // Hex grid renderer
+import { getPhaseFaction, getNextUnitNeedingTarget } from './engine.js';
+import {
+    GamePhase,
+    UnitTypes,
+    isAlive,
+    isEngaged,
+    getArchersVolleyTargets,
+    getArchersVolleyPenalties,
+    calculateArchersVolleyDamage} from './state.js';
+
 const HEX_SIZE = 50; // Radius of hexagon
 const HEX_WIDTH = HEX_SIZE * 2;
 const HEX_HEIGHT = Math.sqrt(3) * HEX_SIZE;
@@ -13,7 +23,8 @@ const COLORS = {
     player2: '#22c55e',
     highlight: '#fbbf24',
     validMove: 'rgba(34, 197, 94, 0.4)',
-    engaged: 'rgba(239, 68, 68, 0.3)'
+    engaged: 'rgba(239, 68, 68, 0.3)',
+    threat: 'rgba(239, 68, 68, 0.15)'
 };
 
 export class HexRenderer {
@@ -109,11 +120,29 @@ export class HexRenderer {
         ctx.stroke();
     }
     
+    // Columns covered by the opponent's Muskets while a faction is moving:
+    // Muskets that are not Engaged and, with the musketsStationary rule, have not moved
+    getThreatenedColumns(state) {
+        const columns = new Set();
+        if (state.phase !== GamePhase.FACTION_1 && state.phase !== GamePhase.FACTION_2) return columns;
+        
+        const currentFaction = getPhaseFaction(state);
+        for (const unit of state.units) {
+            if (unit.type.id !== UnitTypes.MUSKETS.id || unit.faction === currentFaction || !isAlive(unit)) continue;
+            if (isEngaged(state, unit)) continue;
+            if (state.rules.musketsStationary && unit.movedThisTurn) continue;
+            columns.add(unit.col);
+        }
+        return columns;
+    }
+    
     // Draw the entire board
     drawBoard(state) {
         const ctx = this.ctx;
         ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
+        const threatenedColumns = this.getThreatenedColumns(state);
+        
         // Draw all hexes
         for (let row = 0; row < this.rows; row++) {
             for (let col = 0; col < this.cols; col++) {
@@ -170,6 +199,9 @@ export class HexRenderer {
                                     if (dist > 0 && dist <= 2) isValidTarget = true;
                                 }
                             }
+                        } else if (sourceUnit.type.name === 'Muskets') {
+                            // Fire! covers the Muskets' whole column
+                            if (col === sourceUnit.col) isValidTarget = true;
                         } else if (sourceUnit.type.name === 'Cannon') {
                             // Mortar targets hex in range 2 with enemies (distance 1-2, not 0)
                             const dist = this.hexDistance(sourceUnit.row, sourceUnit.col, row, col);
@@ -196,6 +228,11 @@ export class HexRenderer {
                 
                 this.drawHex(row, col, fillColor, strokeColor, lineWidth);
                 
+                // Columns the opponent's Muskets can Fire! down this Resolution
+                if (threatenedColumns.has(col)) {
+                    this.drawHex(row, col, COLORS.threat, strokeColor, lineWidth);
+                }
+                
                 // Apply castle damage animation effect
                 if ((row === 0 || row === 5) && state.castleDamageAnimation) {
                     const faction = row === 0 ? 2 : 1;
@@ -281,9 +318,44 @@ export class HexRenderer {
         }
     }
     
+    // Expected Volley damage against each target of the Archers choosing one now
+    // Returns Map of unit id -> { damage, penalties }
+    getVolleyPreview(state) {
+        const preview = new Map();
+        if (!state.abilityTargeting || !state.abilityTargeting.active) return preview;
+        
+        const archers = getNextUnitNeedingTarget(state);
+        if (!archers || archers.type.id !== UnitTypes.ARCHERS.id) return preview;
+        
+        for (const target of getArchersVolleyTargets(state, archers)) {
+            preview.set(target.id, {
+                damage: calculateArchersVolleyDamage(archers, target),
+                penalties: getArchersVolleyPenalties(archers, target)
+            });
+        }
+        return preview;
+    }
+    
+    // Damage badge under a Volley target, with the penalties that lowered it
+    drawVolleyPreview({ damage, penalties }, x, y) {
+        const ctx = this.ctx;
+        const text = penalties.length > 0 ? `🏹 ${damage} (-${penalties.join(', -')})` : `🏹 ${damage}`;
+        
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const width = ctx.measureText(text).width + 8;
+        
+        ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
+        ctx.fillRect(x - width / 2, y + 14, width, 14);
+        ctx.fillStyle = damage > 0 ? '#fbbf24' : '#9ca3af';
+        ctx.fillText(text, x, y + 21);
+    }
+    
     // Draw units on the board
     drawUnits(state) {
         const ctx = this.ctx;
+        const volleyPreview = this.getVolleyPreview(state);
         
         // Draw units with move animations separately
         const animatingUnits = [];
@@ -337,7 +409,7 @@ export class HexRenderer {
             const positions = this.getUnitPositions(groups.faction1.length, groups.faction2.length);
             
             // Determine current player faction
-            const currentFaction = state.phase === 'faction_1' ? 1 : state.phase === 'faction_2' ? 2 : 0;
+            const currentFaction = getPhaseFaction(state);
             
             allUnits.forEach((unit, i) => {
                 const pos = positions[i];
@@ -347,6 +419,10 @@ export class HexRenderer {
                 const canMove = currentFaction === unit.faction && !isActivated && (!state.pendingSecondMove || isPending);
                 
                 this.drawUnit(state, unit, x + pos.dx, y + pos.dy, isActivated, canMove, isPending);
+                
+                if (volleyPreview.has(unit.id)) {
+                    this.drawVolleyPreview(volleyPreview.get(unit.id), x + pos.dx, y + pos.dy);
+                }
             });
         }
         
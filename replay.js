@@ -0,0 +1,106 @@
+// Game replays
+// Rebuilds any position of a game from its starting armies and action
+// history, so a finished (or saved, or imported) game can be stepped through
+// action by action, scrubbed, or jumped to a round or resolution sub-phase.
+// Position N is the game after its first N actions. Stepping forward applies
+// the next action to the live replay state, so the renderer's move, hit and
+// destroy animations play as they did in the game; any other jump rebuilds
+// the position from the closest round keyframe without animations.
+import { newGame, applyAction } from './engine.js';
+import { serializeGame, deserializeGame } from './serialization.js';
+import { exportNotation, importNotation } from './notation.js';
+
+// Animation fields the engine leaves on units while a position is rebuilt
+const UNIT_ANIMATIONS = ['moveAnimation', 'hitAnimation', 'destroyAnimation', 'abilityAnimation', '_needsFinalRender'];
+
+// Build a replay of a game, positioned at its start
+export function createReplay(game) {
+    // A game's unit ids depend on everything the PRNG drew before it started
+    // (draft pools, random placement). Going through notation gives a copy of
+    // the game whose ids come straight from newGame, so it can be rebuilt.
+    const source = importNotation(exportNotation(game));
+    const armies = source.initialArmies;
+    const seed = source.seed;
+    const rules = source.rules;
+    const firstFaction = source.firstFaction;
+    const roster = source.roster;
+    const actions = source.actionHistory.map(action => ({ ...action }));
+    
+    // Walk the game once to record where each position is and keep a
+    // snapshot at the start of every round for fast seeking
+    const state = newGame({ armies, seed, rules, firstFaction, roster });
+    const steps = [{ round: state.round, phase: state.phase }];
+    const keyframes = new Map([[0, serializeGame(state)]]);
+    actions.forEach((action, index) => {
+        const round = state.round;
+        applyAction(state, action);
+        steps.push({ round: state.round, phase: state.phase });
+        if (state.round !== round) {
+            keyframes.set(index + 1, serializeGame(state));
+        }
+    });
+    
+    return {
+        actions,
+        steps,
+        keyframes,
+        setupMode: source.setupMode,
+        position: 0,
+        state: deserializeGame(keyframes.get(0))
+    };
+}
+
+// Positions where a new phase begins: each faction phase, ability
+// targeting and each resolution sub-phase, plus the end of the game
+// Returns [{ position, round, phase }]
+export function getReplayMarks(replay) {
+    return replay.steps
+        .map((step, position) => ({ position, ...step }))
+        .filter(({ position, phase }) => position === 0 || phase !== replay.steps[position - 1].phase);
+}
+
+// Most recent mark at or before a position
+export function getCurrentMark(replay, position = replay.position) {
+    const marks = getReplayMarks(replay).filter(mark => mark.position <= position);
+    return marks[marks.length - 1];
+}
+
+export function isReplayAtEnd(replay) {
+    return replay.position >= replay.actions.length;
+}
+
+// Move the replay to a position (clamped to the game) and return its state
+// replay.state is replaced unless the replay just steps forward by one action
+export function seekReplay(replay, position) {
+    const target = Math.max(0, Math.min(replay.actions.length, position));
+    
+    if (target === replay.position + 1) {
+        applyAction(replay.state, replay.actions[replay.position]);
+        replay.position = target;
+        return replay.state;
+    }
+    
+    const start = Math.max(...[...replay.keyframes.keys()].filter(keyPosition => keyPosition <= target));
+    const state = deserializeGame(replay.keyframes.get(start));
+    for (let index = start; index < target; index++) {
+        applyAction(state, replay.actions[index]);
+    }
+    clearAnimations(state);
+    
+    replay.state = state;
+    replay.position = target;
+    return state;
+}
+
+export function stepReplay(replay, delta) {
+    return seekReplay(replay, replay.position + delta);
+}
+
+function clearAnimations(state) {
+    for (const unit of [...state.units, ...state.destroyedUnits[1], ...state.destroyedUnits[2]]) {
+        for (const field of UNIT_ANIMATIONS) {
+            delete unit[field];
+        }
+    }
+    state.castleDamageAnimation = { 1: null, 2: null };
+}
@@ -0,0 +1,56 @@
+// Seeded randomness
+// Every random choice in a game (draft pool, placement, unit ids) draws from
+// one PRNG whose state lives in the game state, so the same seed always gives
+// the same game and saves/replays pick up exactly where they left off.
+
+// Fresh seed for games started without one - the only unseeded randomness left
+export function createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Accept numeric seeds as-is and turn any other text (e.g. "finals-2") into a number
+export function parseSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    
+    // FNV-1a hash
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Next number in [0, 1) - mulberry32, advancing state.rngState
+export function nextRandom(state) {
+    let t = state.rngState = (state.rngState + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Integer in [0, max)
+export function randomInt(state, max) {
+    return Math.floor(nextRandom(state) * max);
+}
+
+// Shuffled copy of an array (Fisher-Yates)
+export function shuffle(state, items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = randomInt(state, i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// UUID-shaped id drawn from the game's PRNG
+export function randomId(state) {
+    let hex = '';
+    for (let i = 0; i < 32; i++) {
+        hex += randomInt(state, 16).toString(16);
+    }
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
@@ -1,5 +1,6 @@
 // Rules loader - provides rules content and formatting
 // ** BUILT VERSION WITH EMBEDDED RULES **
+import { UnitTypes } from './state.js';
 
 // Quick rules summary
 const QUICK_SUMMARY = `
@@ -157,7 +158,7 @@ Each hexagon can contain up to two units of the same Faction. That means each he
 #### One-and-two Engagements
 
 If a Faction has a single Unit in a hexagon, and the opposing faction has two, the Player of the Faction with the single Unit decides which opposing Unit is Engaged for the purpose of preventing their Abilities to trigger during the Resolution Phase.
-(??? TODO decide engagement upon entering the hexagon, make it "sticky")
+(Optional rule, Sticky Engagements: the engagement is decided upon entering the hexagon, and stays until one of the three Units leaves it or is destroyed.)
 
 The Faction with the unit that remains not Engaged can choose in the Resolution Phase whether to Engage to resolve a Combat or use their Abilities instead.
 
@@ -220,7 +221,8 @@ Unless a special rule applies, All Units can move 1 hexagon per Movement, have a
 
 - Volley (Ranged Ability): Deal 2 damage to a Unit in Range 2.
   - -1 damage if this Unit has moved this turn.
-  - -1 damage if the target is not the same as last time this ability was used, i.e. choosing a new target, or coming out of an Engagement.
+  - -1 damage if the target is not the same as last time this ability was used, i.e. choosing a new target.
+  - The last target is remembered from round to round, until this Unit is Engaged or the target is destroyed; the next Volley then has no new-target penalty.
 
 #### Cannon \\[2\\]
 
@@ -233,12 +235,15 @@ Unless a special rule applies, All Units can move 1 hexagon per Movement, have a
 
 #### Assault Beasts \\[4\\]
 
-- Trample (Movement Ability): This Unit can move even when Engaged. (TODO ??? When entering an hexagon with opponent Units, deal 1 damage to each Unit.)
+- Trample (Movement Ability): This Unit can move even when Engaged.
+  - Optional rule (trampleDamage): When entering a hexagon with opponent Units, deal 1 damage to each Unit.
 
 #### Spears \\[5\\]
 
 - Pierce (Melee Ability): Deal 1 damage to a unit in Range 1.
-- Counter Charge (Movement Ability): If this Unit is (??? TODO in Range 1 of) the hexagon that is the target of a Charge by an opponent Mounted Unit, then the Mounted Unit's charge deals no damage and the Mounted Unit receives 3 damage instead.
+- Counter Charge (Movement Ability): If this Unit is in Range 1 of the hexagon that is the target of a Charge by an opponent Mounted Unit, then the Mounted Unit's charge deals no damage and the Mounted Unit receives 3 damage instead.
+  - Optional rule (counterChargeRange=0): only Spears in the target hexagon can Counter Charge.
+  - If several Spears can Counter Charge, their player chooses which one does.
 
 #### Jesters \\[6\\]
 
@@ -250,7 +255,7 @@ You can use these units instead of the basic ones to spice things up. It is reco
 
 #### Muskets \\[2\\]
 
-- Fire! (Ranged Ability): (??? TODO If Muskets did not move this turn,) Deal 1 damage to all opponent Units in hexagons in the same column as the Muskets.
+- Fire! (Ranged Ability): If Muskets did not move this turn, deal 1 damage to all opponent Units in hexagons in the same column as the Muskets. Their player confirms or holds the Fire! when choosing ability targets. (Optional rule: with Stationary Muskets turned off, Muskets can also Fire! after moving.)
 
 #### Aerial \\[4\\]
 
@@ -271,6 +276,14 @@ You can use these units instead of the basic ones to spice things up. It is reco
 - Crash Through (Melee Ability): If this Unit is at the opponent's Castle and is not Engaged, you win the Game.
 `;
 
+// What each dice face means in a game, ahead of the units reference
+export function formatRosterMarkdown(roster) {
+    const faces = Object.keys(roster)
+        .map(face => `- [${face}] ${UnitTypes[roster[face]].symbol} ${UnitTypes[roster[face]].name}`)
+        .join('\n');
+    return `## This Game's Dice Faces\n\n${faces}\n`;
+}
+
 export async function loadRulesContent() {
     try {
         console.log('Loading embedded rules content...');
@@ -0,0 +1,279 @@
+// Game state save/load
+// Converts the live game state (Sets, Maps, unit references and embedded
+// UnitTypes entries) to plain JSON and back. The format is described by
+// save-schema.json; bump SAVE_FORMAT_VERSION and add a migration whenever
+// the saved shape changes.
+import { UnitTypes, GamePhase, createGameState, isUnitColor } from './state.js';
+import { isValidEvent } from './events.js';
+
+export const SAVE_FORMAT = 'smalltricks-save';
+export const SAVE_FORMAT_VERSION = 2;
+
+// Upgrade older saves to the current version, one version at a time
+const MIGRATIONS = {
+    // 1 -> 2: the text log became structured events; old lines are kept as messages
+    1: ({ log, ...data }) => ({
+        ...data,
+        events: log.map(text => ({ type: 'Message', round: null, phase: null, text }))
+    })
+};
+
+// UnitTypes key ('ARCHERS', ...) for a unit type
+export function getUnitTypeKey(type) {
+    return Object.keys(UnitTypes).find(key => UnitTypes[key].id === type.id);
+}
+
+function serializeUnit(unit) {
+    return {
+        id: unit.id,
+        type: getUnitTypeKey(unit.type),
+        faction: unit.faction,
+        row: unit.row,
+        col: unit.col,
+        damage: unit.damage,
+        maxHp: unit.maxHp,
+        movedThisTurn: unit.movedThisTurn,
+        lastTarget: unit.lastTarget,
+        color: unit.color,
+        number: unit.number
+    };
+}
+
+function deserializeUnit(data) {
+    const type = UnitTypes[data.type];
+    if (!type) {
+        throw new Error(`Unknown unit type in save: ${data.type}`);
+    }
+    // Numbers and colors end up in the page, so a save can only hold real ones
+    for (const field of ['number', 'damage', 'maxHp']) {
+        if (!Number.isInteger(data[field])) {
+            throw new Error(`Unit ${field} in save is not a whole number`);
+        }
+    }
+    if (!isUnitColor(data.color)) {
+        throw new Error('Unit color in save is not a color');
+    }
+    return { ...data, type };
+}
+
+// Older saves have no unit counters - rebuild them from the units themselves
+function countUnitColors(units) {
+    return {
+        1: units.filter(u => u.faction === 1).length,
+        2: units.filter(u => u.faction === 2).length
+    };
+}
+
+function countUnitNumbers(units) {
+    const counters = { 1: {}, 2: {} };
+    for (const unit of units) {
+        const typeCounters = counters[unit.faction];
+        typeCounters[unit.type.id] = Math.max(typeCounters[unit.type.id] || 0, unit.number);
+    }
+    return counters;
+}
+
+// Serialize the full game state into a versioned, JSON-safe object
+export function serializeGame(state) {
+    const data = {
+        phase: state.phase,
+        currentPlayer: state.currentPlayer,
+        firstFaction: state.firstFaction,
+        round: state.round,
+        units: state.units.map(serializeUnit),
+        destroyedUnits: {
+            1: state.destroyedUnits[1].map(serializeUnit),
+            2: state.destroyedUnits[2].map(serializeUnit)
+        },
+        castleDamage: { ...state.castleDamage },
+        previousCastleDamage: { ...state.previousCastleDamage },
+        consecutiveDamageRounds: { ...state.consecutiveDamageRounds },
+        batteryRamWin: state.batteryRamWin,
+        activatedUnits: [...state.activatedUnits],
+        pendingSecondMove: state.pendingSecondMove || null,
+        pendingCharge: state.pendingCharge,
+        pendingCounterCharge: state.pendingCounterCharge,
+        abilityTargeting: state.abilityTargeting ? {
+            active: state.abilityTargeting.active,
+            currentPlayer: state.abilityTargeting.currentPlayer,
+            selections: [...state.abilityTargeting.selections],
+            unitsToTarget: state.abilityTargeting.unitsToTarget.map(u => u.id)
+        } : null,
+        unitsInCombatThisTurn: [...state.unitsInCombatThisTurn],
+        engagements: state.engagements,
+        pendingAllocations: state.pendingAllocations,
+        combatAllocations: state.combatAllocations,
+        pendingOrderings: state.pendingOrderings,
+        effectOrders: state.effectOrders,
+        result: state.result,
+        actionHistory: state.actionHistory,
+        initialArmies: state.initialArmies,
+        seed: state.seed,
+        rules: state.rules,
+        roster: state.roster,
+        rngState: state.rngState,
+        unitColorIndex: state.unitColorIndex,
+        unitTypeCounters: state.unitTypeCounters,
+        undoCheckpoint: state.undoCheckpoint,
+        redoActions: state.redoActions,
+        events: state.events
+    };
+    
+    // Setup sub-states only exist while a draft, random or rolled game is being set up
+    if (state.setupMode) {
+        data.setupMode = state.setupMode;
+    }
+    if (state.draftUnits) {
+        data.draftUnits = state.draftUnits.map(u => ({ id: u.id, type: getUnitTypeKey(u.type) }));
+        data.draftPhase = state.draftPhase;
+        data.draftPickOrder = state.draftPickOrder;
+        data.draftCurrentPick = state.draftCurrentPick;
+    }
+    if (state.rollPhase) {
+        data.rollPhase = state.rollPhase;
+    }
+    if (state.draftSelected) {
+        data.draftSelected = {
+            1: state.draftSelected[1].map(getUnitTypeKey),
+            2: state.draftSelected[2].map(getUnitTypeKey)
+        };
+    }
+    if (state.placementPhase) {
+        data.placementPhase = {
+            currentPlayer: state.placementPhase.currentPlayer,
+            placedUnits: state.placementPhase.placedUnits.map(u => u.id)
+        };
+        // Hidden setup: commitments of the placements sealed so far (never the sealed units)
+        if (state.placementPhase.sealed) {
+            data.placementPhase.sealed = Object.fromEntries(Object.entries(state.placementPhase.sealed).map(
+                ([faction, { hash }]) => [faction, { hash }]
+            ));
+        }
+    }
+    
+    return {
+        format: SAVE_FORMAT,
+        version: SAVE_FORMAT_VERSION,
+        savedAt: new Date().toISOString(),
+        state: JSON.parse(JSON.stringify(data))
+    };
+}
+
+// Rebuild a live game state from serializeGame output
+export function deserializeGame(save) {
+    if (!save || save.format !== SAVE_FORMAT) {
+        throw new Error('Not a Smalltricks save file');
+    }
+    if (typeof save.version !== 'number' || save.version > SAVE_FORMAT_VERSION) {
+        throw new Error(`Unsupported save version: ${save.version}`);
+    }
+    
+    // Work on a copy so the restored state never shares objects with the save
+    let data = JSON.parse(JSON.stringify(save.state));
+    for (let version = save.version; version < SAVE_FORMAT_VERSION; version++) {
+        data = MIGRATIONS[version](data);
+    }
+    
+    if (!Object.values(GamePhase).includes(data.phase)) {
+        throw new Error(`Unknown phase in save: ${data.phase}`);
+    }
+    if (!Array.isArray(data.events)) {
+        throw new Error('Save has no event log');
+    }
+    const badEvent = data.events.findIndex(event => !isValidEvent(event));
+    if (badEvent >= 0) {
+        throw new Error(`Malformed event #${badEvent + 1} in save`);
+    }
+    
+    // Saves from before seeding get a fresh seed; older saves play by the default rules
+    const state = createGameState(data.seed, data.rules);
+    const units = data.units.map(deserializeUnit);
+    const destroyedUnits = {
+        1: data.destroyedUnits[1].map(deserializeUnit),
+        2: data.destroyedUnits[2].map(deserializeUnit)
+    };
+    // References may point at units destroyed earlier in the round
+    const allUnits = [...units, ...destroyedUnits[1], ...destroyedUnits[2]];
+    const findUnit = id => allUnits.find(u => u.id === id);
+    
+    Object.assign(state, {
+        phase: data.phase,
+        currentPlayer: data.currentPlayer,
+        firstFaction: data.firstFaction ?? 1,
+        round: data.round,
+        units,
+        destroyedUnits,
+        castleDamage: data.castleDamage,
+        previousCastleDamage: data.previousCastleDamage,
+        consecutiveDamageRounds: data.consecutiveDamageRounds,
+        batteryRamWin: data.batteryRamWin,
+        activatedUnits: new Set(data.activatedUnits),
+        pendingSecondMove: data.pendingSecondMove,
+        pendingCharge: data.pendingCharge,
+        pendingCounterCharge: data.pendingCounterCharge ?? null,
+        abilityTargeting: data.abilityTargeting ? {
+            active: data.abilityTargeting.active,
+            currentPlayer: data.abilityTargeting.currentPlayer,
+            selections: new Map(data.abilityTargeting.selections),
+            unitsToTarget: data.abilityTargeting.unitsToTarget.map(findUnit).filter(Boolean)
+        } : null,
+        unitsInCombatThisTurn: new Set(data.unitsInCombatThisTurn),
+        engagements: data.engagements ?? [],
+        pendingAllocations: data.pendingAllocations,
+        combatAllocations: data.combatAllocations,
+        pendingOrderings: data.pendingOrderings ?? [],
+        effectOrders: data.effectOrders ?? [],
+        result: data.result,
+        actionHistory: data.actionHistory,
+        initialArmies: data.initialArmies ?? null,
+        roster: data.roster ?? state.roster,
+        rngState: data.rngState ?? state.rngState,
+        unitColorIndex: data.unitColorIndex ?? countUnitColors(allUnits),
+        unitTypeCounters: data.unitTypeCounters ?? countUnitNumbers(allUnits),
+        undoCheckpoint: data.undoCheckpoint ?? null,
+        redoActions: data.redoActions ?? [],
+        events: data.events
+    });
+    
+    if (data.setupMode) {
+        state.setupMode = data.setupMode;
+    }
+    if (data.draftUnits) {
+        state.draftUnits = data.draftUnits.map(u => ({ id: u.id, type: UnitTypes[u.type] }));
+        state.draftPhase = data.draftPhase;
+        state.draftPickOrder = data.draftPickOrder;
+        state.draftCurrentPick = data.draftCurrentPick;
+    }
+    if (data.rollPhase) {
+        state.rollPhase = data.rollPhase;
+    }
+    if (data.draftSelected) {
+        state.draftSelected = {
+            1: data.draftSelected[1].map(key => UnitTypes[key]),
+            2: data.draftSelected[2].map(key => UnitTypes[key])
+        };
+    }
+    if (data.placementPhase) {
+        state.placementPhase = {
+            currentPlayer: data.placementPhase.currentPlayer,
+            placedUnits: data.placementPhase.placedUnits.map(findUnit).filter(Boolean),
+            selectedUnit: null
+        };
+        if (data.placementPhase.sealed) {
+            state.placementPhase.sealed = Object.fromEntries(Object.entries(data.placementPhase.sealed).map(
+                ([faction, { hash }]) => [faction, { hash }]
+            ));
+        }
+    }
+    
+    return state;
+}
+
+// Save to / load from the text of a save file
+export function saveGameToJSON(state) {
+    return JSON.stringify(serializeGame(state), null, 2);
+}
+
+export function loadGameFromJSON(json) {
+    return deserializeGame(JSON.parse(json));
+}
@@ -0,0 +1,46 @@
+// Player settings
+// Preferences of whoever plays on this device, kept in localStorage. Unlike the
+// rules they are not part of the game: they only change what the UI does on the
+// player's behalf, and anything it does is dispatched and recorded as actions,
+// so saves, notation and replays look the same with or without them.
+
+const SETTINGS_KEY = 'smalltricks-settings';
+
+export const DEFAULT_SETTINGS = {
+    autoTargetAbilities: false // Select each ability's default target instead of asking (Archers keep their last target)
+};
+
+// localStorage may be missing or blocked (private browsing, file://)
+function getStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Stored settings over the defaults; unreadable settings fall back to the defaults
+export function loadSettings() {
+    const storage = getStorage();
+    if (!storage) return { ...DEFAULT_SETTINGS };
+    
+    try {
+        const stored = JSON.parse(storage.getItem(SETTINGS_KEY) || '{}');
+        return { ...DEFAULT_SETTINGS, ...stored };
+    } catch (error) {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+// Never throws: settings that cannot be stored only last until the page is closed
+export function saveSettings(settings) {
+    const storage = getStorage();
+    if (!storage) return false;
+    
+    try {
+        storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
@@ -1,32 +1,40 @@
+import { createSeed, randomId, randomInt, shuffle } from './rng.js';
+import { EventType, recordEvent } from './events.js';
+
 // Unit types with their dice face values
+// power: what a unit at full HP is worth in the unit power tiebreak
 export const UnitTypes = {
     // Base units
-    ARCHERS: { id: 1, name: 'Archers', symbol: '🏹' },
-    CANNON: { id: 2, name: 'Cannon', symbol: '🚀' },
-    MOUNTED: { id: 3, name: 'Mounted', symbol: '🐴' },
-    ASSAULT_BEASTS: { id: 4, name: 'Assault Beasts', symbol: '🐘' },
-    SPEARS: { id: 5, name: 'Spears', symbol: '⚔️' },
-    JESTERS: { id: 6, name: 'Jesters', symbol: '🤡' },
+    ARCHERS: { id: 1, name: 'Archers', symbol: '🏹', power: 3 },
+    CANNON: { id: 2, name: 'Cannon', symbol: '🚀', power: 3 },
+    MOUNTED: { id: 3, name: 'Mounted', symbol: '🐴', power: 3 },
+    ASSAULT_BEASTS: { id: 4, name: 'Assault Beasts', symbol: '🐘', power: 4 },
+    SPEARS: { id: 5, name: 'Spears', symbol: '⚔️', power: 3 },
+    JESTERS: { id: 6, name: 'Jesters', symbol: '🤡', power: 2 },
     
     // Alternate units
-    MUSKETS: { id: 7, name: 'Muskets', symbol: '🔫' },
-    AERIAL: { id: 8, name: 'Aerial', symbol: '🦅' },
-    COMMANDER: { id: 9, name: 'Commander', symbol: '👑' },
-    MILITIA: { id: 10, name: 'Militia', symbol: '🗽' },
-    BATTERY_RAM: { id: 11, name: 'Battery Ram', symbol: '🐏' }
+    MUSKETS: { id: 7, name: 'Muskets', symbol: '🔫', power: 3 },
+    AERIAL: { id: 8, name: 'Aerial', symbol: '🦅', power: 3 },
+    COMMANDER: { id: 9, name: 'Commander', symbol: '👑', power: 2 },
+    MILITIA: { id: 10, name: 'Militia', symbol: '🗽', power: 2 },
+    BATTERY_RAM: { id: 11, name: 'Battery Ram', symbol: '🐏', power: 3 }
 };
 
 // Color palettes for unit identity
 const UNIT_COLORS_COOL = ['#60a5fa', '#38bdf8', '#a78bfa', '#818cf8', '#2dd4bf', '#6366f1'];
 const UNIT_COLORS_WARM = ['#fb923c', '#f87171', '#fbbf24', '#facc15', '#fb7185', '#fdba74'];
-let unitColorIndex = { 1: 0, 2: 0 };
-let unitTypeCounters = { 1: {}, 2: {} }; // Track count per type per faction
+
+// Unit colors are written into the page's styles: only hex codes and color names are colors
+export function isUnitColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{3,8}$|^[a-z]+$/i.test(color);
+}
 
 // Game phases
 export const GamePhase = {
     SETUP: 'setup',
-    FACTION_1: 'faction_1',
-    FACTION_2: 'faction_2',
+    FACTION_1: 'faction_1', // The First Faction's phase, whichever player that is
+    FACTION_2: 'faction_2', // The Second Faction's phase
+    ENGAGEMENT: 'engagement', // One-and-two engagements are settled before ability targeting
     ABILITY_TARGETING: 'ability_targeting', // New phase for selecting ability targets
     RESOLUTION_COMBAT: 'resolution_combat',
     RESOLUTION_MELEE: 'resolution_melee',
@@ -35,22 +43,63 @@ export const GamePhase = {
     GAME_OVER: 'game_over'
 };
 
-// Create a new unit
-export function createUnit(type, faction, row, col) {
+// Optional rule variants, chosen when a game is created
+export const DEFAULT_RULES = {
+    stickyEngagement: false, // One-and-two engagements are chosen on entering the hex and kept, instead of at each Resolution
+    hiddenSetup: false, // Placements are committed as hashes and revealed once both players have confirmed (see commitment.js)
+    trampleDamage: false, // Assault Beasts deal 1 damage to each opponent unit in a hex they move into
+    counterChargeRange: 1, // Spears this close to a charge's target hex can Counter Charge it (0: only Spears in the hex)
+    musketsStationary: true, // Muskets can only Fire! if they did not move this turn
+    armyRerolls: 1, // Rolled Armies: dice each player may reroll before placement
+    armyShifts: 1, // Rolled Armies: dice each player may shift up or down by 1 before placement
+    roundLimit: 0, // The game ends after this round (0 for no limit)
+    powerMargin: 3 // Unit power lead needed to win at the round limit; anything closer is a draw
+};
+
+// Rules that differ from the defaults as text: "stickyEngagement, roundLimit=8"
+export function formatRules(rules) {
+    return Object.keys(DEFAULT_RULES)
+        .filter(name => rules[name] !== DEFAULT_RULES[name])
+        .map(name => typeof DEFAULT_RULES[name] === 'boolean' ? (rules[name] ? name : `${name}=false`) : `${name}=${rules[name]}`)
+        .join(', ');
+}
+
+// Read formatRules text back: "stickyEngagement, roundLimit=8" -> { stickyEngagement: true, roundLimit: 8 }
+export function parseRules(text) {
+    const rules = {};
+    for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+        const [name, value] = part.split('=').map(item => item.trim());
+        if (!(name in DEFAULT_RULES)) {
+            throw new Error(`Unknown rule "${name}"`);
+        }
+        if (typeof DEFAULT_RULES[name] === 'boolean') {
+            rules[name] = value === undefined || value === 'true';
+        } else {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new Error(`Rule ${name} needs a whole number, got "${value}"`);
+            }
+            rules[name] = number;
+        }
+    }
+    return rules;
+}
+
+// Create a new unit (its id comes from the game's seeded PRNG)
+// Colors and numbers are counted per game, so every game numbers its units from #1
+export function createUnit(state, type, faction, row, col) {
     // Assign unique color for this faction
     const colorPalette = faction === 1 ? UNIT_COLORS_COOL : UNIT_COLORS_WARM;
-    const color = colorPalette[unitColorIndex[faction] % colorPalette.length];
-    unitColorIndex[faction]++;
+    const color = colorPalette[state.unitColorIndex[faction] % colorPalette.length];
+    state.unitColorIndex[faction]++;
     
     // Assign unit number based on type count
-    if (!unitTypeCounters[faction][type.id]) {
-        unitTypeCounters[faction][type.id] = 0;
-    }
-    unitTypeCounters[faction][type.id]++;
-    const unitNumber = unitTypeCounters[faction][type.id];
+    const typeCounters = state.unitTypeCounters[faction];
+    typeCounters[type.id] = (typeCounters[type.id] || 0) + 1;
+    const unitNumber = typeCounters[type.id];
     
     return {
-        id: crypto.randomUUID(),
+        id: randomId(state),
         type,
         faction, // 1 or 2
         row,
@@ -58,7 +107,7 @@ export function createUnit(type, faction, row, col) {
         damage: 0,
         maxHp: 5,
         movedThisTurn: false,
-        lastTarget: null, // For Archers' Volley penalty
+        lastTarget: null, // For Archers' Volley penalty: the last target's id, null if none is remembered
         color, // Unique color for identity
         number: unitNumber // Unique number per type
     };
@@ -80,10 +129,13 @@ export function getUnitDisplayName(state, unit) {
 }
 
 // Create initial game state
-export function createGameState() {
+// seed: PRNG seed for everything random in this game (a fresh one if omitted)
+// rules: rule variants that differ from DEFAULT_RULES
+export function createGameState(seed = createSeed(), rules = {}) {
     return {
         phase: GamePhase.SETUP,
         currentPlayer: 1,
+        firstFaction: 1, // Player who is the First Faction this game (the other is the Second Faction)
         round: 1,
         units: [],
         destroyedUnits: { 1: [], 2: [] }, // Track destroyed units by faction
@@ -96,10 +148,28 @@ export function createGameState() {
         validMoves: [],
         activatedUnits: new Set(), // Units that have moved this phase
         pendingSecondMove: null, // Mounted unit awaiting second move
+        pendingCharge: null, // Mounted charge awaiting a target choice ({ unitId, targetIds })
+        pendingCounterCharge: null, // Countered charge awaiting the defender's choice of Spears ({ unitId, spearsIds })
         abilityTargeting: null, // Ability targeting state (set during ABILITY_TARGETING phase)
         commanderTarget: null, // COMMANDER Forward! ability target unit
         unitsInCombatThisTurn: new Set(), // Track units that participated in combat this resolution phase
-        log: []
+        engagements: [], // One-and-two engagement pairings ({ hex, unitId, engagedId, freeId, freeChoice })
+        pendingAllocations: [], // Combats where the attacker must split damage between two enemies
+        combatAllocations: [], // Damage splits chosen so far this resolution phase
+        pendingOrderings: [], // Conflicting effects the Second Faction must order ({ ability, unitIds })
+        effectOrders: [], // Orders chosen so far this resolution phase
+        result: null, // { winner, reason, power } once the game is over (winner is null for a draw)
+        actionHistory: [], // Every action applied through the engine, in order
+        initialArmies: null, // { 1: [{ type, row, col }], 2: [...] } as the game started
+        seed, // Seed the game was started with, shown in the UI to reproduce it
+        rules: { ...DEFAULT_RULES, ...rules }, // Rule variants in play
+        roster: { ...DEFAULT_ROSTER }, // UnitTypes key each dice face means (see ROSTER_OPTIONS)
+        unitColorIndex: { 1: 0, 2: 0 }, // Next palette color per faction
+        unitTypeCounters: { 1: {}, 2: {} }, // Units created so far per type id per faction
+        rngState: seed, // Current PRNG state (advances with every random draw)
+        undoCheckpoint: null, // { historyLength, snapshot } taken when the current faction phase began
+        redoActions: [], // Undone actions of the current faction phase, most recent last
+        events: [] // Structured record of everything that happened (see events.js)
     };
 }
 
@@ -113,10 +183,76 @@ export function getFactionUnitsAt(state, row, col, faction) {
     return getUnitsAt(state, row, col).filter(u => u.faction === faction);
 }
 
+// Stacking rules
+// A hex holds at most two units of each faction, and only one of them can be
+// Militia (Rowdy Crowd). Moves, Taunt, Forward!, Aerial Assault and placement
+// all check here before a unit ends up in a hex. Mounted units can pass
+// through a hex they cannot end in, as long as their second move takes them on.
+export const MAX_UNITS_PER_HEX = 2;
+
+// Why the unit cannot end up in the hex, or null if it can
+export function getStackingError(state, unit, row, col) {
+    const allies = getFactionUnitsAt(state, row, col, unit.faction).filter(u => u.id !== unit.id);
+    if (allies.length >= MAX_UNITS_PER_HEX) {
+        return `A hex holds at most ${MAX_UNITS_PER_HEX} units of a faction`;
+    }
+    if (unit.type.id === UnitTypes.MILITIA.id && allies.some(u => u.type.id === UnitTypes.MILITIA.id)) {
+        return 'Rowdy Crowd: only 1 Militia per faction per hex';
+    }
+    return null;
+}
+
+export function canEndInHex(state, unit, row, col) {
+    return getStackingError(state, unit, row, col) === null;
+}
+
+// Mounted units can move through a hex on their first move, unless an enemy there would Engage them
+export function canPassThroughHex(state, unit, row, col) {
+    const enemyFaction = unit.faction === 1 ? 2 : 1;
+    return unit.type.id === UnitTypes.MOUNTED.id &&
+        !unit.movedThisTurn &&
+        getFactionUnitsAt(state, row, col, enemyFaction).length === 0;
+}
+
 // Check if a unit is engaged (same hex as enemy)
+// The free unit of a one-and-two engagement is only Engaged if it chose to fight
 export function isEngaged(state, unit) {
     const enemyFaction = unit.faction === 1 ? 2 : 1;
-    return getFactionUnitsAt(state, unit.row, unit.col, enemyFaction).length > 0;
+    if (getFactionUnitsAt(state, unit.row, unit.col, enemyFaction).length === 0) return false;
+    
+    const engagement = getCurrentEngagements(state).find(e => e.freeId === unit.id);
+    return !engagement || engagement.freeChoice === 'combat';
+}
+
+// One-and-two engagements
+// When one unit shares a hex with two enemies, its owner picks which enemy it
+// is Engaged with. The other enemy is free: it either joins the combat or
+// stays out of it to use its ability (freeChoice 'combat' / 'ability').
+
+// Hexes where one faction has a single unit and the other has two
+// Returns [{ hex, unit, enemies }]
+export function getOneAndTwoHexes(state) {
+    const contested = [];
+    for (const group of getEngagedGroups(state, { allUnits: true })) {
+        const [singles, pairs] = group.faction1.length === 1 ? [group.faction1, group.faction2] : [group.faction2, group.faction1];
+        if (singles.length === 1 && pairs.length === 2) {
+            contested.push({ hex: group.hex, unit: singles[0], enemies: pairs });
+        }
+    }
+    return contested;
+}
+
+// Pairings still in force: the single and the free unit are alive and still in the hex
+export function getCurrentEngagements(state) {
+    const isInHex = (id, hex) => state.units.some(u => u.id === id && isAlive(u) && u.row === hex.row && u.col === hex.col);
+    return state.engagements.filter(e => isInHex(e.unitId, e.hex) && isInHex(e.freeId, e.hex));
+}
+
+// Drop pairings where any of the three units has left the hex or died
+export function pruneEngagements(state) {
+    state.engagements = getCurrentEngagements(state).filter(e =>
+        state.units.some(u => u.id === e.engagedId && isAlive(u) && u.row === e.hex.row && u.col === e.hex.col)
+    );
 }
 
 // Check if unit is alive
@@ -169,15 +305,20 @@ export function isInEnemyCastle(unit) {
 }
 
 // Apply damage to a unit
-export function applyDamage(state, unit, amount, sourceInfo = null) {
+// source: { actor, ability } for ability damage, { faction } for combat damage
+export function applyDamage(state, unit, amount, source = {}) {
     unit.damage += amount;
-    const unitName = getUnitDisplayName(state, unit);
     
-    // Only log if no source info provided (combat/direct damage)
-    // If source info provided, the ability function will log the full message
-    if (!sourceInfo) {
-        state.log.push(`${unitName} takes ${amount} damage (${unit.damage}/${unit.maxHp})`);
-    }
+    logEvent(state, EventType.DAMAGE_DEALT, {
+        actor: source.actor,
+        target: unit,
+        faction: source.actor ? source.actor.faction : source.faction,
+        amount,
+        hex: { row: unit.row, col: unit.col },
+        ability: source.ability || null,
+        remainingHp: unit.maxHp - unit.damage,
+        maxHp: unit.maxHp
+    });
     
     // Add enhanced hit animation (1 second with red tint)
     unit.hitAnimation = { 
@@ -186,7 +327,7 @@ export function applyDamage(state, unit, amount, sourceInfo = null) {
     };
     
     if (unit.damage >= unit.maxHp) {
-        state.log.push(`${unitName} is destroyed!`);
+        logEvent(state, EventType.UNIT_DESTROYED, { target: unit, hex: { row: unit.row, col: unit.col } });
     }
 }
 
@@ -209,10 +350,36 @@ export function removeDeadUnits(state) {
     // Remove units after animation completes
     // For now, remove immediately (animation will be handled in renderer)
     state.units = state.units.filter(isAlive);
+    forgetLostVolleyTargets(state);
+}
+
+// Battery Rams that will Crash Through this castle step (unengaged in the enemy castle)
+export function getCrashThroughUnits(state) {
+    return state.units.filter(u =>
+        u.type.id === UnitTypes.BATTERY_RAM.id &&
+        isAlive(u) &&
+        u.row === getCastleRow(u.faction === 1 ? 2 : 1) &&
+        !isEngaged(state, u)
+    );
 }
 
 // Calculate castle damage from unengaged units in enemy castle rows
-export function calculateCastleDamage(state) {
+// effectOrders: orders chosen by the Second Faction (Battery Rams of both
+// factions crashing through at once - the first one in the order wins)
+export function calculateCastleDamage(state, effectOrders = []) {
+    // Battery Ram: Crash Through - instant win if unengaged in enemy castle
+    const rams = getCrashThroughUnits(state);
+    const order = effectOrders.find(o => o.ability === 'Crash Through');
+    if (order) {
+        rams.sort((a, b) => order.unitIds.indexOf(a.id) - order.unitIds.indexOf(b.id));
+    }
+    if (rams.length > 0) {
+        const ram = rams[0];
+        state.batteryRamWin = ram.faction;
+        logEvent(state, EventType.CASTLE_DAMAGED, { actor: ram, ability: 'Crash Through', targetFaction: ram.faction === 1 ? 2 : 1 });
+        return;
+    }
+    
     // Check each faction's units
     for (const faction of [1, 2]) {
         const enemyFaction = faction === 1 ? 2 : 1;
@@ -225,15 +392,6 @@ export function calculateCastleDamage(state) {
             isAlive(u)
         );
         
-        // Battery Ram: Crash Through - instant win if unengaged in enemy castle
-        for (const unit of unitsInCastle) {
-            if (unit.type.id === UnitTypes.BATTERY_RAM.id && !isEngaged(state, unit)) {
-                state.batteryRamWin = faction;
-                logMessage(state, `Battery Ram crashes through! Player ${faction} wins!`);
-                return;
-            }
-        }
-        
         // Count unengaged units for castle damage
         let castleDamageDealt = 0;
         for (const unit of unitsInCastle) {
@@ -244,7 +402,7 @@ export function calculateCastleDamage(state) {
         
         if (castleDamageDealt > 0) {
             state.castleDamage[enemyFaction] += castleDamageDealt;
-            logMessage(state, `Player ${faction} deals ${castleDamageDealt} damage to enemy castle!`);
+            logEvent(state, EventType.CASTLE_DAMAGED, { faction, targetFaction: enemyFaction, amount: castleDamageDealt });
             
             // Trigger castle damage animation (sidebar)
             if (typeof window !== 'undefined' && window.triggerCastleDamageAnimation) {
@@ -296,17 +454,93 @@ export function checkWinCondition(state) {
         return { winner: 1, reason: 'Player 2 had more damage for 2 consecutive rounds' };
     }
     
+    // Round limit: the castle that took less damage wins, or unit power left if they are even
+    if (state.rules.roundLimit && state.round >= state.rules.roundLimit) {
+        if (diff !== 0) {
+            const winner = diff > 0 ? 2 : 1;
+            return { winner, reason: `Round limit reached: Player ${winner === 1 ? 2 : 1} castle took more damage` };
+        }
+        
+        const power = getUnitPower(state);
+        const lead = power[1].total - power[2].total;
+        if (Math.abs(lead) >= state.rules.powerMargin) {
+            const winner = lead > 0 ? 1 : 2;
+            return { winner, reason: `Round limit reached: Player ${winner} has ${formatPower(Math.abs(lead))} more unit power left` };
+        }
+        return { winner: null, reason: `Round limit reached: draw, unit power is within ${state.rules.powerMargin}` };
+    }
+    
     return null;
 }
 
-// Log a message
+// Unit power left per faction, for the round limit tiebreak and the Game Over breakdown
+// A unit is worth its type's power scaled by its remaining HP; destroyed units are worth nothing
+// Returns { 1: { total, lost, units: [{ unitId, name, typePower, hp, maxHp, power, destroyed }] }, 2: ... }
+export function getUnitPower(state) {
+    const power = {};
+    for (const faction of [1, 2]) {
+        const alive = state.units.filter(u => u.faction === faction && isAlive(u));
+        const destroyed = state.destroyedUnits[faction === 1 ? 2 : 1];
+        const units = [
+            ...alive.map(unit => ({ unit, hp: unit.maxHp - unit.damage, destroyed: false })),
+            ...destroyed.map(unit => ({ unit, hp: 0, destroyed: true }))
+        ].map(({ unit, hp, destroyed }) => ({
+            unitId: unit.id,
+            name: getUnitDisplayName(state, unit),
+            typePower: unit.type.power,
+            hp,
+            maxHp: unit.maxHp,
+            power: roundPower(unit.type.power * hp / unit.maxHp),
+            destroyed
+        }));
+        
+        power[faction] = {
+            total: roundPower(units.reduce((sum, u) => sum + u.power, 0)),
+            lost: roundPower(units.reduce((sum, u) => sum + u.typePower - u.power, 0)),
+            units
+        };
+    }
+    return power;
+}
+
+function roundPower(value) {
+    return Math.round(value * 10) / 10;
+}
+
+export function formatPower(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Log a free-text message
 export function logMessage(state, message) {
-    state.log.push(message);
-    console.log(message);
+    recordEvent(state, EventType.MESSAGE, { text: message });
+}
+
+// Record an event about units, capturing their names as they read right now
+// actor / target / targets are unit objects; other fields are stored as given
+export function logEvent(state, type, { actor, target, targets, ...fields } = {}) {
+    const event = {};
+    if (actor) {
+        event.actorId = actor.id;
+        event.actorName = getUnitDisplayName(state, actor);
+        event.faction = actor.faction;
+    }
+    if (target) {
+        event.targetId = target.id;
+        event.targetName = getUnitDisplayName(state, target);
+        event.targetFaction = target.faction;
+    }
+    if (targets) {
+        event.targetIds = targets.map(u => u.id);
+        event.targetNames = targets.map(u => getUnitDisplayName(state, u));
+        event.targetFaction = targets[0].faction;
+    }
+    return recordEvent(state, type, { ...event, ...fields });
 }
 
 // Get engaged groups by hex (for damage distribution)
-export function getEngagedGroups(state) {
+// Free units that stay out of a one-and-two engagement are left out, unless options.allUnits
+export function getEngagedGroups(state, options = {}) {
     const groups = [];
     const processedHexes = new Set();
     
@@ -317,8 +551,9 @@ export function getEngagedGroups(state) {
         if (processedHexes.has(hexKey)) continue;
         
         // Get all units at this hex
-        const faction1Units = getFactionUnitsAt(state, unit.row, unit.col, 1);
-        const faction2Units = getFactionUnitsAt(state, unit.row, unit.col, 2);
+        const inCombat = u => options.allUnits || isEngaged(state, u);
+        const faction1Units = getFactionUnitsAt(state, unit.row, unit.col, 1).filter(inCombat);
+        const faction2Units = getFactionUnitsAt(state, unit.row, unit.col, 2).filter(inCombat);
         
         // Only create a group if both factions present (engaged)
         if (faction1Units.length > 0 && faction2Units.length > 0) {
@@ -334,8 +569,15 @@ export function getEngagedGroups(state) {
     return groups;
 }
 
-// Async combat resolution with damage allocation (for future use)
-export async function resolveCombatAsync(state, showAllocationModal) {
+// Combat damage dealt by a single unit
+export function getCombatDamage(unit) {
+    return unit.type.id === UnitTypes.MILITIA.id ? 3 : 2;
+}
+
+// Combat resolution with damage allocation
+// allocations: [{ hex, attackingFaction, damage: { [unitId]: amount } }] chosen by the
+// attacking player wherever they face more than one enemy. Missing ones are split evenly.
+export function resolveCombat(state, allocations = []) {
     const groups = getEngagedGroups(state);
     
     if (groups.length === 0) {
@@ -351,58 +593,34 @@ export async function resolveCombatAsync(state, showAllocationModal) {
         group.faction1.forEach(u => state.unitsInCombatThisTurn.add(u.id));
         group.faction2.forEach(u => state.unitsInCombatThisTurn.add(u.id));
         
-        // Process faction 1's damage to faction 2
-        if (group.faction1.length > 0 && group.faction2.length > 0) {
-            const totalDamage1 = group.faction1.reduce((sum, u) => 
-                sum + (u.type.id === UnitTypes.MILITIA.id ? 3 : 2), 0);
-            
-            if (group.faction2.length === 1) {
-                // Only one enemy, apply all damage
-                applyDamage(state, group.faction2[0], totalDamage1);
-            } else if (showAllocationModal) {
-                // Multiple enemies, show allocation modal (faction 1 is attacking)
-                const allocation = await showAllocationModal(group.faction2, totalDamage1, 1);
-                for (const [enemyId, damage] of allocation) {
-                    const enemy = group.faction2.find(u => u.id === enemyId);
-                    if (enemy && damage > 0) {
-                        applyDamage(state, enemy, damage);
-                    }
-                }
-            } else {
-                // Fallback: distribute evenly
-                const damagePerEnemy = Math.floor(totalDamage1 / group.faction2.length);
-                const remainder = totalDamage1 % group.faction2.length;
-                group.faction2.forEach((enemy, idx) => {
-                    const damage = damagePerEnemy + (idx < remainder ? 1 : 0);
-                    applyDamage(state, enemy, damage);
-                });
-            }
-        }
-        
-        // Process faction 2's damage to faction 1
-        if (group.faction2.length > 0 && group.faction1.length > 0) {
-            const totalDamage2 = group.faction2.reduce((sum, u) => 
-                sum + (u.type.id === UnitTypes.MILITIA.id ? 3 : 2), 0);
+        // Each side deals its damage to the other
+        for (const [attackingFaction, attackers, enemies] of [[1, group.faction1, group.faction2], [2, group.faction2, group.faction1]]) {
+            const totalDamage = attackers.reduce((sum, u) => sum + getCombatDamage(u), 0);
+            const allocation = allocations.find(a => 
+                a.attackingFaction === attackingFaction &&
+                a.hex.row === group.hex.row &&
+                a.hex.col === group.hex.col
+            );
             
-            if (group.faction1.length === 1) {
+            const source = { faction: attackingFaction };
+            if (enemies.length === 1) {
                 // Only one enemy, apply all damage
-                applyDamage(state, group.faction1[0], totalDamage2);
-            } else if (showAllocationModal) {
-                // Multiple enemies, show allocation modal (faction 2 is attacking)
-                const allocation = await showAllocationModal(group.faction1, totalDamage2, 2);
-                for (const [enemyId, damage] of allocation) {
-                    const enemy = group.faction1.find(u => u.id === enemyId);
+                applyDamage(state, enemies[0], totalDamage, source);
+            } else if (allocation) {
+                // Multiple enemies, use the attacking player's split
+                for (const [enemyId, damage] of Object.entries(allocation.damage)) {
+                    const enemy = enemies.find(u => u.id === enemyId);
                     if (enemy && damage > 0) {
-                        applyDamage(state, enemy, damage);
+                        applyDamage(state, enemy, damage, source);
                     }
                 }
             } else {
                 // Fallback: distribute evenly
-                const damagePerEnemy = Math.floor(totalDamage2 / group.faction1.length);
-                const remainder = totalDamage2 % group.faction1.length;
-                group.faction1.forEach((enemy, idx) => {
+                const damagePerEnemy = Math.floor(totalDamage / enemies.length);
+                const remainder = totalDamage % enemies.length;
+                enemies.forEach((enemy, idx) => {
                     const damage = damagePerEnemy + (idx < remainder ? 1 : 0);
-                    applyDamage(state, enemy, damage);
+                    applyDamage(state, enemy, damage, source);
                 });
             }
         }
@@ -441,19 +659,31 @@ export function getArchersVolleyTargets(state, unit) {
     return targets;
 }
 
+// Volley penalties against a target, each -1 damage: 'moved' and 'new target'
+// Archers with no last target (never used Volley, or forgot it) have no new-target penalty
+export function getArchersVolleyPenalties(unit, target) {
+    const penalties = [];
+    if (unit.movedThisTurn) penalties.push('moved');
+    if (unit.lastTarget && unit.lastTarget !== target.id) penalties.push('new target');
+    return penalties;
+}
+
 // Calculate Archers volley damage
 export function calculateArchersVolleyDamage(unit, target) {
-    let damage = 2; // Base damage
-    
-    if (unit.movedThisTurn) {
-        damage -= 1; // -1 if moved
-    }
-    
-    if (unit.lastTarget && unit.lastTarget !== target.id) {
-        damage -= 1; // -1 if new target
+    return Math.max(0, 2 - getArchersVolleyPenalties(unit, target).length);
+}
+
+// The Volley target is kept from round to round, and forgotten when the Archers are
+// Engaged or the target dies, so the next Volley has no new-target penalty
+export function forgetLostVolleyTargets(state) {
+    for (const unit of state.units) {
+        if (unit.type.id !== UnitTypes.ARCHERS.id || !unit.lastTarget) continue;
+        
+        const target = state.units.find(u => u.id === unit.lastTarget);
+        if (!target || !isAlive(target) || isEngaged(state, unit)) {
+            unit.lastTarget = null;
+        }
     }
-    
-    return Math.max(0, damage);
 }
 
 // Cannon: Mortar Fire ability
@@ -485,11 +715,12 @@ export function calculateCannonMortarDamage(unit) {
 }
 
 // Muskets: Fire! ability
+// Hits every opponent unit in the Muskets' column
 export function getMusketsFireTargets(state, unit) {
     if (unit.type.id !== UnitTypes.MUSKETS.id) return [];
     
-    // Muskets can only fire if they didn't move
-    if (unit.movedThisTurn) return [];
+    // With the musketsStationary rule, Muskets can only fire if they didn't move
+    if (state.rules.musketsStationary && unit.movedThisTurn) return [];
     
     const targets = [];
     
@@ -506,9 +737,9 @@ export function getMusketsFireTargets(state, unit) {
 }
 
 // Calculate Muskets fire damage
-export function calculateMusketsFireDamage(unit) {
-    // If muskets didn't move, deal 1 damage
-    return unit.movedThisTurn ? 0 : 1;
+export function calculateMusketsFireDamage(state, unit) {
+    // With the musketsStationary rule, Muskets that moved deal no damage
+    return state.rules.musketsStationary && unit.movedThisTurn ? 0 : 1;
 }
 
 // Mounted: Charge ability
@@ -523,11 +754,7 @@ export function applyMountedChargeBonus(state, unit, target, distanceMoved) {
     
     if (distanceMoved === 2) {
         // Deal 2 bonus damage
-        const targetName = getUnitDisplayName(state, target);
-        const unitName = getUnitDisplayName(state, unit);
-        applyDamage(state, target, 2, 'ability');
-        const newHP = target.maxHp - target.damage;
-        logMessage(state, `${unitName} Charge: ${targetName} takes 2 damage (${newHP}/${target.maxHp}) at [${target.row}, ${target.col}]`);
+        applyDamage(state, target, 2, { actor: unit, ability: 'Charge' });
     }
 }
 
@@ -555,28 +782,45 @@ export function calculateSpearsPierceDamage(unit, target) {
     return 1; // Base damage 1
 }
 
+// Spears that can Counter Charge a Mounted unit that just charged into a hex
+// They must be within the counterChargeRange rule of the target hex. Spears
+// Engaged elsewhere can't; Spears in the target hex count when the charging
+// unit is the only enemy they are Engaged with.
+export function getCounterChargeSpears(state, mounted) {
+    return state.units.filter(u => {
+        if (u.type.id !== UnitTypes.SPEARS.id || u.faction === mounted.faction || !isAlive(u)) return false;
+        
+        const distance = hexDistance(u.row, u.col, mounted.row, mounted.col);
+        if (distance > state.rules.counterChargeRange) return false;
+        if (distance === 0) {
+            return getFactionUnitsAt(state, u.row, u.col, mounted.faction).every(enemy => enemy.id === mounted.id);
+        }
+        return !isEngaged(state, u);
+    });
+}
+
 // Spears: Counter Charge ability
 export function applySpearCounterCharge(state, unit, attacker) {
     if (unit.type.id !== UnitTypes.SPEARS.id) return;
     if (attacker.type.id !== UnitTypes.MOUNTED.id) return;
     
     // Negate mounted charge damage and deal 3 damage instead
-    const attackerName = getUnitDisplayName(state, attacker);
-    const unitName = getUnitDisplayName(state, unit);
-    applyDamage(state, attacker, 3, 'ability');
-    const newHP = attacker.maxHp - attacker.damage;
-    logMessage(state, `${unitName} Counter Charge: ${attackerName} takes 3 damage (${newHP}/${attacker.maxHp}) at [${attacker.row}, ${attacker.col}]`);
+    applyDamage(state, attacker, 3, { actor: unit, ability: 'Counter Charge' });
 }
 
-// Jesters: Taunt ability
+// Jesters: Taunt ability (used in the faction phase instead of moving)
 export function getJestersTauntTargets(state, unit) {
     if (unit.type.id !== UnitTypes.JESTERS.id) return [];
     
+    // Engaged units can't use abilities
+    if (isEngaged(state, unit)) return [];
+    
     const targets = [];
     
-    // Taunt enemies in Range 1
+    // Taunt enemies in Range 1 - Engaged enemies can't be moved out of their combat
     for (const enemy of state.units) {
-        if (!isAlive(enemy) || enemy.faction === unit.faction) continue;
+        if (!isAlive(enemy) || enemy.faction === unit.faction || isEngaged(state, enemy)) continue;
+        if (!canEndInHex(state, enemy, unit.row, unit.col)) continue;
         
         const distance = hexDistance(unit.row, unit.col, enemy.row, enemy.col);
         if (distance === 1) {
@@ -588,23 +832,175 @@ export function getJestersTauntTargets(state, unit) {
 }
 
 // Apply Jesters taunt (move enemy to jester's hex)
+// The target is moved, not activated: it keeps its own activation and a
+// taunted Mounted unit does not charge
 export function applyJestersTaunt(state, unit, target) {
     if (unit.type.id !== UnitTypes.JESTERS.id) return;
     
     const oldRow = target.row;
     const oldCol = target.col;
     
+    unit.abilityAnimation = {
+        startTime: Date.now(),
+        duration: 800,
+        type: 'melee'
+    };
+    target.moveAnimation = {
+        startRow: oldRow,
+        startCol: oldCol,
+        endRow: unit.row,
+        endCol: unit.col,
+        startTime: Date.now(),
+        duration: 400
+    };
+    
     // Move target to jester's hex
     target.row = unit.row;
     target.col = unit.col;
     
-    logMessage(state, `${unit.type.symbol} ${unit.type.name} Taunt forces ${target.type.symbol} ${target.type.name} to move to (${unit.row}, ${unit.col})`);
+    logEvent(state, EventType.ABILITY_USED, {
+        actor: unit,
+        target,
+        ability: 'Taunt',
+        from: { row: oldRow, col: oldCol },
+        hex: { row: unit.row, col: unit.col }
+    });
+    
+    // The target entered the Jesters' hex, so it engages them (and any ally with them)
+    const engagedUnits = getFactionUnitsAt(state, unit.row, unit.col, unit.faction);
+    logEvent(state, EventType.ENGAGED, { actor: target, targets: engagedUnits, hex: { row: unit.row, col: unit.col } });
+}
+
+// Roster
+// Which unit each dice face means for a game. The base units' ids are their
+// faces; an alternate unit can take the place of a base unit on the face
+// UNITS.md suggests for it, e.g. Commander on 4 instead of Assault Beasts.
+export const ROSTER_OPTIONS = {
+    1: ['ARCHERS'],
+    2: ['CANNON', 'MUSKETS'],
+    3: ['MOUNTED'],
+    4: ['ASSAULT_BEASTS', 'AERIAL', 'COMMANDER'],
+    5: ['SPEARS'],
+    6: ['JESTERS', 'MILITIA', 'BATTERY_RAM']
+};
+
+export const DEFAULT_ROSTER = { 1: 'ARCHERS', 2: 'CANNON', 3: 'MOUNTED', 4: 'ASSAULT_BEASTS', 5: 'SPEARS', 6: 'JESTERS' };
+
+export function getUnitTypeForFace(face, roster = DEFAULT_ROSTER) {
+    return UnitTypes[roster[face]];
+}
+
+// The six unit types of a roster, in face order
+export function getRosterUnitTypes(roster) {
+    return Object.keys(DEFAULT_ROSTER).map(face => getUnitTypeForFace(face, roster));
+}
+
+// Faces that differ from the default roster as text: "4=Commander, 6=Militia"
+export function formatRoster(roster) {
+    return Object.keys(DEFAULT_ROSTER)
+        .filter(face => roster[face] !== DEFAULT_ROSTER[face])
+        .map(face => `${face}=${UnitTypes[roster[face]].name.replace(/ /g, '')}`)
+        .join(', ');
+}
+
+// Read formatRoster text back into a full roster
+// Unit names are matched ignoring case and spaces ("Battery Ram", "batteryram")
+export function parseRoster(text) {
+    const roster = { ...DEFAULT_ROSTER };
+    for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+        const [face, name = ''] = part.split('=').map(item => item.trim());
+        const options = ROSTER_OPTIONS[face];
+        if (!options) {
+            throw new Error(`Unknown dice face "${face}"`);
+        }
+        const key = options.find(option => UnitTypes[option].name.replace(/ /g, '').toLowerCase() === name.replace(/ /g, '').toLowerCase());
+        if (!key) {
+            throw new Error(`Face ${face} can be ${options.map(option => UnitTypes[option].name).join(', ')}, not "${name}"`);
+        }
+        roster[face] = key;
+    }
+    return roster;
+}
+
+// Rolled Armies
+// Each faction rolls one die per unit and the game's roster turns each face
+// into a unit type. Before placement each player may reroll and shift dice
+// by 1, as many as the armyRerolls and armyShifts rules allow.
+export const ARMY_DICE = 6;
+
+function formatDie(state, face) {
+    return `${face} (${getUnitTypeForFace(face, state.roster).name})`;
+}
+
+function rollDie(state) {
+    return randomInt(state, 6) + 1;
+}
+
+// Roll both armies; Player 1 adjusts their roll first
+export function startArmyRolls(state) {
+    state.rollPhase = { currentPlayer: 1, rolls: {} };
+    for (const faction of [1, 2]) {
+        const dice = Array.from({ length: ARMY_DICE }, () => rollDie(state));
+        state.rollPhase.rolls[faction] = {
+            dice,
+            rerollsLeft: state.rules.armyRerolls,
+            shiftsLeft: state.rules.armyShifts
+        };
+        logMessage(state, `🎲 Player ${faction} rolls ${dice.map(face => formatDie(state, face)).join(', ')}`);
+    }
+}
+
+export function rerollArmyDie(state, index) {
+    const { currentPlayer } = state.rollPhase;
+    const roll = state.rollPhase.rolls[currentPlayer];
+    if (roll.rerollsLeft <= 0) {
+        throw new Error(`Player ${currentPlayer} has no rerolls left`);
+    }
+    
+    const previous = roll.dice[index];
+    roll.dice[index] = rollDie(state);
+    roll.rerollsLeft--;
+    logMessage(state, `🎲 Player ${currentPlayer} rerolls ${formatDie(state, previous)}: ${formatDie(state, roll.dice[index])}`);
+}
+
+// Shift a die one face up (delta 1) or down (delta -1)
+export function shiftArmyDie(state, index, delta) {
+    const { currentPlayer } = state.rollPhase;
+    const roll = state.rollPhase.rolls[currentPlayer];
+    const previous = roll.dice[index];
+    if (roll.shiftsLeft <= 0) {
+        throw new Error(`Player ${currentPlayer} has no shifts left`);
+    }
+    if (previous + delta < 1 || previous + delta > 6) {
+        throw new Error(`A ${previous} cannot be shifted ${delta > 0 ? 'up' : 'down'}`);
+    }
+    
+    roll.dice[index] = previous + delta;
+    roll.shiftsLeft--;
+    logMessage(state, `🎲 Player ${currentPlayer} shifts ${formatDie(state, previous)} ${delta > 0 ? 'up' : 'down'}: ${formatDie(state, roll.dice[index])}`);
+}
+
+// Keep the current player's roll; returns true once both armies are kept
+export function keepArmyRoll(state) {
+    const { currentPlayer } = state.rollPhase;
+    const { dice } = state.rollPhase.rolls[currentPlayer];
+    logMessage(state, `Player ${currentPlayer} keeps ${dice.map(face => formatDie(state, face)).join(', ')}`);
+    
+    if (currentPlayer === 1) {
+        state.rollPhase.currentPlayer = 2;
+        return false;
+    }
+    return true;
+}
+
+export function getRolledArmy(state, faction) {
+    return state.rollPhase.rolls[faction].dice.map(face => getUnitTypeForFace(face, state.roster));
 }
 
 // Random Setup Mode
 
 // Generate random unit placement for a faction
-export function generateRandomPlacement(faction, existingUnits = []) {
+export function generateRandomPlacement(state, faction, existingUnits = []) {
     const units = [];
     const castleRow = getCastleRow(faction);
     const castleRows = faction === 1 ? [4, 5] : [0, 1]; // Two rows for placement
@@ -613,7 +1009,7 @@ export function generateRandomPlacement(faction, existingUnits = []) {
     const unitTypesList = Object.values(UnitTypes);
     
     // Shuffle and pick 6 units
-    const shuffled = [...unitTypesList].sort(() => Math.random() - 0.5);
+    const shuffled = shuffle(state, unitTypesList);
     const selectedTypes = shuffled.slice(0, 6);
     
     // Place units randomly on castle rows
@@ -629,12 +1025,12 @@ export function generateRandomPlacement(faction, existingUnits = []) {
         let attempts = 0;
         
         while (!placed && attempts < 20) {
-            const row = castleRows[Math.floor(Math.random() * castleRows.length)];
-            const col = Math.floor(Math.random() * 6);
+            const row = castleRows[randomInt(state, castleRows.length)];
+            const col = randomInt(state, 6);
             const key = `${row},${col}`;
             
             if (!occupiedHexes.has(key)) {
-                const unit = createUnit(unitType, faction, row, col);
+                const unit = createUnit(state, unitType, faction, row, col);
                 units.push(unit);
                 occupiedHexes.add(key);
                 placed = true;
@@ -646,8 +1042,8 @@ export function generateRandomPlacement(faction, existingUnits = []) {
         // If failed to place after attempts, place anyway
         if (!placed) {
             const row = castleRows[0];
-            const col = Math.floor(Math.random() * 6);
-            const unit = createUnit(unitType, faction, row, col);
+            const col = randomInt(state, 6);
+            const unit = createUnit(state, unitType, faction, row, col);
             units.push(unit);
         }
     }
@@ -655,22 +1051,9 @@ export function generateRandomPlacement(faction, existingUnits = []) {
     return units;
 }
 
-// Check if placement is valid (no more than 2 units per hex per faction)
+// Check if placement is valid (every unit could end up where it stands, see getStackingError)
 export function isValidPlacement(units) {
-    const hexCounts = new Map();
-    
-    for (const unit of units) {
-        const key = `${unit.row},${unit.col},${unit.faction}`;
-        const count = hexCounts.get(key) || 0;
-        
-        if (count >= 2) {
-            return false;
-        }
-        
-        hexCounts.set(key, count + 1);
-    }
-    
-    return true;
+    return units.every(unit => canEndInHex({ units }, unit, unit.row, unit.col));
 }
 
 // Draft Mode
@@ -687,6 +1070,14 @@ export function getAvailableDraftUnits() {
     return units;
 }
 
+// The ability selection a unit's player made this round, if any
+// Abilities never pick their own targets: auto-targeting is a player setting
+// that records its selections like any other (see settings.js)
+function getAbilitySelection(state, unit) {
+    if (!state.abilityTargeting) return null;
+    return state.abilityTargeting.selections.get(unit.id) || null;
+}
+
 // Resolve melee abilities (Spears Pierce)
 export function resolveMeleeAbilities(state) {
     logMessage(state, 'Resolving melee abilities...');
@@ -697,18 +1088,9 @@ export function resolveMeleeAbilities(state) {
         
         // Spears: Pierce
         if (unit.type.id === UnitTypes.SPEARS.id) {
-            // Check if player selected a target
-            let target = null;
-            if (state.abilityTargeting && state.abilityTargeting.selections.has(unit.id)) {
-                const selection = state.abilityTargeting.selections.get(unit.id);
-                target = state.units.find(u => u.id === selection.unitId);
-            } else {
-                // Fallback to auto-targeting if no selection
-                const targets = getSpearsPierceTargets(state, unit);
-                if (targets.length > 0) {
-                    target = targets[0];
-                }
-            }
+            // Only fires at the target its player selected (none if they skipped it)
+            const selection = getAbilitySelection(state, unit);
+            const target = selection && state.units.find(u => u.id === selection.unitId);
             
             if (target && isAlive(target)) {
                 const damage = calculateSpearsPierceDamage(unit, target);
@@ -720,38 +1102,7 @@ export function resolveMeleeAbilities(state) {
                     type: 'melee'
                 };
                 
-                const targetName = getUnitDisplayName(state, target);
-                const unitName = getUnitDisplayName(state, unit);
-                applyDamage(state, target, damage, 'ability');
-                const newHP = target.maxHp - target.damage;
-                logMessage(state, `${unitName} Pierce: ${targetName} takes ${damage} damage (${newHP}/${target.maxHp}) at [${target.row}, ${target.col}]`);
-            }
-        }
-        
-        // Jesters: Taunt
-        if (unit.type.id === UnitTypes.JESTERS.id) {
-            // Check if player selected a target
-            let target = null;
-            if (state.abilityTargeting && state.abilityTargeting.selections.has(unit.id)) {
-                const selection = state.abilityTargeting.selections.get(unit.id);
-                target = state.units.find(u => u.id === selection.unitId);
-            } else {
-                // Fallback to auto-targeting if no selection
-                const targets = getJestersTauntTargets(state, unit);
-                if (targets.length > 0) {
-                    target = targets[0];
-                }
-            }
-            
-            if (target && isAlive(target)) {
-                // Add ability activation animation
-                unit.abilityAnimation = {
-                    startTime: Date.now(),
-                    duration: 800,
-                    type: 'melee'
-                };
-                
-                applyJestersTaunt(state, unit, target);
+                applyDamage(state, target, damage, { actor: unit, ability: 'Pierce' });
             }
         }
     }
@@ -769,23 +1120,14 @@ export function resolveRangedAbilities(state) {
         
         // Archers: Volley
         if (unit.type.id === UnitTypes.ARCHERS.id) {
-            // Check if player selected a target
-            let target = null;
-            if (state.abilityTargeting && state.abilityTargeting.selections.has(unit.id)) {
-                const selection = state.abilityTargeting.selections.get(unit.id);
-                target = state.units.find(u => u.id === selection.unitId);
-            } else {
-                // Fallback to auto-targeting with last target preference
-                const targets = getArchersVolleyTargets(state, unit);
-                if (targets.length > 0) {
-                    target = unit.lastTarget 
-                        ? targets.find(t => t.id === unit.lastTarget) || targets[0]
-                        : targets[0];
-                }
-            }
+            // Only fires at the target its player selected (none if they skipped it)
+            const selection = getAbilitySelection(state, unit);
+            const target = selection && state.units.find(u => u.id === selection.unitId);
             
             if (target && isAlive(target)) {
                 const damage = calculateArchersVolleyDamage(unit, target);
+                // The chosen target is remembered even when the penalties leave no damage
+                unit.lastTarget = target.id;
                 if (damage > 0) {
                     // Add ability activation animation
                     unit.abilityAnimation = {
@@ -794,30 +1136,16 @@ export function resolveRangedAbilities(state) {
                         type: 'ranged'
                     };
                     
-                    const targetName = getUnitDisplayName(state, target);
-                    const unitName = getUnitDisplayName(state, unit);
-                    applyDamage(state, target, damage, 'ability');
-                    const newHP = target.maxHp - target.damage;
-                    logMessage(state, `${unitName} Volley: ${targetName} takes ${damage} damage (${newHP}/${target.maxHp}) at [${target.row}, ${target.col}]`);
-                    unit.lastTarget = target.id;
+                    applyDamage(state, target, damage, { actor: unit, ability: 'Volley' });
                 }
             }
         }
         
         // Cannon: Mortar Fire
         if (unit.type.id === UnitTypes.CANNON.id) {
-            // Check if player selected a target hex
-            let targetHex = null;
-            if (state.abilityTargeting && state.abilityTargeting.selections.has(unit.id)) {
-                const selection = state.abilityTargeting.selections.get(unit.id);
-                targetHex = selection.hex;
-            } else {
-                // Fallback to auto-targeting
-                const targets = getCannonMortarTargets(state, unit);
-                if (targets.length > 0) {
-                    targetHex = { row: targets[0].row, col: targets[0].col };
-                }
-            }
+            // Only fires at the hex its player selected (none if they skipped it)
+            const selection = getAbilitySelection(state, unit);
+            const targetHex = selection && selection.hex;
             
             if (targetHex) {
                 // Validate range (defense against bugs)
@@ -840,23 +1168,20 @@ export function resolveRangedAbilities(state) {
                         isAlive(u)
                     );
                     
-                    const unitName = getUnitDisplayName(state, unit);
                     for (const enemy of enemiesInHex) {
-                        const enemyName = getUnitDisplayName(state, enemy);
-                        applyDamage(state, enemy, damage, 'ability');
-                        const newHP = enemy.maxHp - enemy.damage;
-                        logMessage(state, `${unitName} Mortar: ${enemyName} takes ${damage} damage (${newHP}/${enemy.maxHp}) at [${targetHex.row}, ${targetHex.col}]`);
+                        applyDamage(state, enemy, damage, { actor: unit, ability: 'Mortar' });
                     }
                 }
             }
         }
         
-        // Muskets: Fire!
+        // Muskets: Fire! (only if its player confirmed it)
         if (unit.type.id === UnitTypes.MUSKETS.id) {
-            const targets = getMusketsFireTargets(state, unit);
+            const selection = getAbilitySelection(state, unit);
+            const targets = selection && selection.column !== undefined ? getMusketsFireTargets(state, unit) : [];
             
             if (targets.length > 0) {
-                const damage = calculateMusketsFireDamage(unit);
+                const damage = calculateMusketsFireDamage(state, unit);
                 
                 if (damage > 0) {
                     // Add ability activation animation
@@ -866,12 +1191,8 @@ export function resolveRangedAbilities(state) {
                         type: 'ranged'
                     };
                     
-                    const unitName = getUnitDisplayName(state, unit);
                     for (const target of targets) {
-                        const targetName = getUnitDisplayName(state, target);
-                        applyDamage(state, target, damage, 'ability');
-                        const newHP = target.maxHp - target.damage;
-                        logMessage(state, `${unitName} Fire!: ${targetName} takes ${damage} damage (${newHP}/${target.maxHp}) at [${target.row}, ${target.col}]`);
+                        applyDamage(state, target, damage, { actor: unit, ability: 'Fire!' });
                     }
                 }
             }